@@ -13,23 +13,373 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import { glob } from 'glob';
-import { spawn } from 'child_process';
+import { minimatch } from 'minimatch';
+import { spawn, spawnSync } from 'child_process';
+import { createHash, randomBytes } from 'crypto';
+import { StringDecoder } from 'string_decoder';
+import readline from 'readline';
 import os from 'os';
+import { pathToFileURL } from 'url';
 
-const ALLOWED_DRIVES = (process.env.ALLOWED_DRIVES || 'C,F').split(',');
-const ALLOWED_PATHS = (process.env.ALLOWED_PATHS || '').split(',').filter(p => p);
-const DEBUG = process.env.DEBUG === 'true';
-const PYTHON_PATH = process.env.PYTHON_PATH || 'python';
-const PYTHON_TIMEOUT = parseInt(process.env.PYTHON_TIMEOUT || '30000', 10);
-const PYTHON_MAX_TIMEOUT = parseInt(process.env.PYTHON_MAX_TIMEOUT || '300000', 10);
-const POWERSHELL_PATH = process.env.POWERSHELL_PATH || 'powershell.exe';
-const POWERSHELL_TIMEOUT = parseInt(process.env.POWERSHELL_TIMEOUT || '60000', 10);
-const POWERSHELL_MAX_TIMEOUT = parseInt(process.env.POWERSHELL_MAX_TIMEOUT || '600000', 10);
+// ============================================================================
+// CONFIGURATION - JSON config file, env var overrides, hot reload
+// ============================================================================
+
+const CONFIG_PATH = process.env.DARKSIDE_CONFIG || path.join(os.homedir(), '.darkside', 'config.json');
+
+/**
+ * Every setting, its type, default and overriding env var. A leaf is any
+ * object with a `type`; everything else is a section.
+ */
+const CONFIG_SCHEMA = {
+  paths: {
+    allowed_drives: { type: 'string[]', default: ['C', 'F'], env: 'ALLOWED_DRIVES', pattern: /^[A-Za-z]$/ },
+    allowed_paths: { type: 'string[]', default: [], env: 'ALLOWED_PATHS' },
+    deny_patterns: { type: 'string[]', default: ['**/.ssh/**', '**/.gnupg/**', '**/.aws/**', '**/.env', '**/.env.*'], env: 'DENY_PATTERNS' }
+  },
+  interpreters: {
+    python: { type: 'string', default: 'python', env: 'PYTHON_PATH' },
+    powershell: { type: 'string', default: 'auto', env: 'POWERSHELL_PATH' }
+  },
+  timeouts: {
+    python: { type: 'integer', min: 1000, default: 30000, env: 'PYTHON_TIMEOUT' },
+    python_max: { type: 'integer', min: 1000, default: 300000, env: 'PYTHON_MAX_TIMEOUT' },
+    powershell: { type: 'integer', min: 1000, default: 60000, env: 'POWERSHELL_TIMEOUT' },
+    powershell_max: { type: 'integer', min: 1000, default: 600000, env: 'POWERSHELL_MAX_TIMEOUT' }
+  },
+  limits: {
+    read_max_bytes: { type: 'integer', min: 1, default: 1048576, env: 'READ_MAX_BYTES' },
+    output_max_bytes: { type: 'integer', min: 1024, default: 262144, env: 'OUTPUT_MAX_BYTES' },
+    spill_dir: { type: 'string', default: path.join(os.homedir(), '.darkside', 'spill'), env: 'SPILL_DIR' },
+    spill_max_age_hours: { type: 'number', min: 0, default: 24, env: 'SPILL_MAX_AGE_HOURS' },
+    archive_max_entries: { type: 'integer', min: 1, default: 10000, env: 'ARCHIVE_MAX_ENTRIES' },
+    archive_max_bytes: { type: 'integer', min: 1, default: 1073741824, env: 'ARCHIVE_MAX_BYTES' }
+  },
+  sessions: {
+    python_max: { type: 'integer', min: 1, default: 4, env: 'PYTHON_MAX_SESSIONS' },
+    python_idle_timeout: { type: 'integer', min: 0, default: 1800000, env: 'PYTHON_SESSION_IDLE_TIMEOUT' }
+  },
+  python_safety: {
+    enabled: { type: 'boolean', default: true, env: 'PYTHON_SAFETY' },
+    check_scripts: { type: 'boolean', default: false, env: 'PYTHON_SAFETY_CHECK_SCRIPTS' },
+    rules: { type: 'level-map', levels: ['allow', 'warn', 'deny'], default: {} }
+  },
+  processes: {
+    max_memory_mb: { type: 'integer', min: 0, default: 0, env: 'PROCESS_MAX_MEMORY_MB' },
+    max_cpu_seconds: { type: 'integer', min: 0, default: 0, env: 'PROCESS_MAX_CPU_SECONDS' },
+    max_open_files: { type: 'integer', min: 0, default: 0, env: 'PROCESS_MAX_OPEN_FILES' },
+    max_processes: { type: 'integer', min: 0, default: 0, env: 'PROCESS_MAX_PROCESSES' }
+  },
+  jobs: {
+    dir: { type: 'string', default: path.join(os.homedir(), '.darkside', 'jobs'), env: 'JOBS_DIR' },
+    max_running: { type: 'integer', min: 1, default: 4, env: 'JOBS_MAX_RUNNING' },
+    log_max_bytes: { type: 'integer', min: 1024, default: 10485760, env: 'JOB_LOG_MAX_BYTES' },
+    log_files: { type: 'integer', min: 1, default: 3, env: 'JOB_LOG_FILES' }
+  },
+  backups: {
+    dir: { type: 'string', default: path.join(os.homedir(), '.darkside', 'backups'), env: 'BACKUP_DIR' },
+    max_age_days: { type: 'number', min: 0, default: 0, env: 'BACKUP_MAX_AGE_DAYS' },
+    max_count: { type: 'integer', min: 0, default: 0, env: 'BACKUP_MAX_COUNT' },
+    max_total_mb: { type: 'number', min: 0, default: 0, env: 'BACKUP_MAX_TOTAL_MB' }
+  },
+  audit: {
+    enabled: { type: 'boolean', default: true, env: 'AUDIT_LOG' },
+    file: { type: 'string', default: path.join(os.homedir(), '.darkside', 'audit', 'audit.jsonl'), env: 'AUDIT_LOG_FILE' },
+    max_bytes: { type: 'integer', min: 1024, default: 10485760, env: 'AUDIT_LOG_MAX_BYTES' },
+    files: { type: 'integer', min: 1, default: 5, env: 'AUDIT_LOG_FILES' },
+    redact_keys: { type: 'string[]', default: ['*password*', '*passwd*', '*secret*', '*token*', '*api_key*', '*apikey*', '*credential*', '*private_key*', 'auth*'], env: 'AUDIT_REDACT_KEYS' }
+  },
+  approval: {
+    enabled: { type: 'boolean', default: false, env: 'APPROVAL_MODE' },
+    tools: {
+      type: 'string[]',
+      default: [
+        'write_file', 'edit_file', 'delete_file', 'move_path', 'copy_path', 'delete_directory',
+        'create_archive', 'extract_archive', 'restore_backup', 'prune_backups',
+        'run_python_script', 'run_python_code', 'run_python_tests', 'python_session_exec', 'start_job',
+        'delete_venv', 'pip_install', 'run_powershell', 'run_powershell_script'
+      ],
+      env: 'APPROVAL_TOOLS'
+    },
+    token_ttl: { type: 'integer', min: 1000, default: 300000, env: 'APPROVAL_TOKEN_TTL' }
+  },
+  tools: {
+    enabled: { type: 'string[]', default: ['*'], env: 'ENABLED_TOOLS' },
+    disabled: { type: 'string[]', default: [], env: 'DISABLED_TOOLS' }
+  },
+  debug: { type: 'boolean', default: false, env: 'DEBUG' }
+};
+
+// Reassigned by applyConfig() at startup and on every successful reload
+let ALLOWED_DRIVES;
+let ALLOWED_PATHS;
+let DENY_PATTERNS;
+let DEBUG = process.env.DEBUG === 'true';
+let PYTHON_PATH;
+let PYTHON_TIMEOUT;
+let PYTHON_MAX_TIMEOUT;
+let POWERSHELL_PATH;
+let POWERSHELL_TIMEOUT;
+let POWERSHELL_MAX_TIMEOUT;
+let READ_MAX_BYTES;
+let OUTPUT_MAX_BYTES;
+let ARCHIVE_MAX_ENTRIES;
+let PROCESS_LIMITS;
+let ARCHIVE_MAX_BYTES;
+let SPILL_DIR;
+let SPILL_MAX_AGE_HOURS;
+let PYTHON_MAX_SESSIONS;
+let PYTHON_SESSION_IDLE_TIMEOUT;
+let PYTHON_SAFETY_ENABLED;
+let PYTHON_SAFETY_CHECK_SCRIPTS;
+let PYTHON_SAFETY_RULES;
+let JOBS_DIR;
+let JOBS_MAX_RUNNING;
+let JOB_LOG_MAX_BYTES;
+let JOB_LOG_FILES;
+let BACKUP_DIR;
+let BACKUP_MAX_AGE_DAYS;
+let BACKUP_MAX_COUNT;
+let BACKUP_MAX_TOTAL_MB;
+let AUDIT_ENABLED;
+let AUDIT_LOG_FILE;
+let AUDIT_LOG_MAX_BYTES;
+let AUDIT_LOG_FILES;
+let AUDIT_REDACT_KEYS;
+let APPROVAL_ENABLED;
+let APPROVAL_TOOLS;
+let APPROVAL_TOKEN_TTL;
+let ENABLED_TOOLS;
+let DISABLED_TOOLS;
+
+const configReloadHandlers = [];
+
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function checkSetting(spec, value, name, errors) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value) {
+        errors.push(`${name}: expected a non-empty string, got ${describeValue(value)}`);
+      }
+      break;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        errors.push(`${name}: expected an array of strings, got ${describeValue(value)}`);
+      } else if (spec.pattern) {
+        value.filter(v => !spec.pattern.test(v))
+          .forEach(v => errors.push(`${name}: invalid entry ${describeValue(v)}`));
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${name}: expected ${spec.type === 'integer' ? 'an integer' : 'a number'}, got ${describeValue(value)}`);
+      } else if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${name}: must be >= ${spec.min}, got ${value}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${name}: expected true or false, got ${describeValue(value)}`);
+      }
+      break;
+    case 'level-map':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${name}: expected an object, got ${describeValue(value)}`);
+      } else {
+        Object.entries(value).filter(([, level]) => !spec.levels.includes(level))
+          .forEach(([key, level]) => errors.push(`${name}: rule "${key}" must be one of ${spec.levels.join(', ')}, got ${describeValue(level)}`));
+      }
+      break;
+  }
+}
+
+function parseEnvSetting(spec, raw) {
+  switch (spec.type) {
+    case 'string[]':
+      return raw.split(',').map(v => v.trim()).filter(v => v);
+    case 'integer':
+    case 'number':
+      return /^\s*-?\d+(\.\d+)?\s*$/.test(raw) ? Number(raw) : raw;
+    case 'boolean':
+      return raw === 'true' || raw === '1' ? true : (raw === 'false' || raw === '0' ? false : raw);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Merge defaults, the config file and env overrides, validating each layer
+ * against CONFIG_SCHEMA. Throws one error listing every problem found.
+ */
+function loadConfig() {
+  const errors = [];
+  let fileConfig = {};
+
+  if (fsSync.existsSync(CONFIG_PATH)) {
+    try {
+      fileConfig = JSON.parse(fsSync.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid configuration in ${CONFIG_PATH}: ${e.message}`);
+    }
+    if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+      throw new Error(`Invalid configuration in ${CONFIG_PATH}: top level must be an object`);
+    }
+  } else if (process.env.DARKSIDE_CONFIG) {
+    throw new Error(`Config file not found: ${CONFIG_PATH}`);
+  }
+
+  function walk(schema, section, prefix) {
+    const result = {};
+    for (const key of Object.keys(section || {})) {
+      if (!(key in schema)) {
+        errors.push(`${prefix}${key}: unknown setting`);
+      }
+    }
+    for (const [key, spec] of Object.entries(schema)) {
+      const name = `${prefix}${key}`;
+      const provided = section ? section[key] : undefined;
+      if (!spec.type) {
+        if (provided !== undefined && (typeof provided !== 'object' || Array.isArray(provided) || provided === null)) {
+          errors.push(`${name}: expected an object, got ${describeValue(provided)}`);
+          result[key] = walk(spec, {}, `${name}.`);
+        } else {
+          result[key] = walk(spec, provided, `${name}.`);
+        }
+        continue;
+      }
+
+      let value = spec.default;
+      if (provided !== undefined) {
+        checkSetting(spec, provided, `${name} (${CONFIG_PATH})`, errors);
+        value = provided;
+      }
+      const raw = process.env[spec.env];
+      if (raw !== undefined && (raw !== '' || spec.type === 'string[]')) {
+        value = parseEnvSetting(spec, raw);
+        checkSetting(spec, value, `${spec.env} (env)`, errors);
+      }
+      result[key] = value;
+    }
+    return result;
+  }
+
+  const config = walk(CONFIG_SCHEMA, fileConfig, '');
+
+  if (errors.length === 0) {
+    if (config.timeouts.python > config.timeouts.python_max) {
+      errors.push(`timeouts.python (${config.timeouts.python}) exceeds timeouts.python_max (${config.timeouts.python_max})`);
+    }
+    if (config.timeouts.powershell > config.timeouts.powershell_max) {
+      errors.push(`timeouts.powershell (${config.timeouts.powershell}) exceeds timeouts.powershell_max (${config.timeouts.powershell_max})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+function applyConfig(config) {
+  ALLOWED_DRIVES = config.paths.allowed_drives.map(d => d.toUpperCase());
+  ALLOWED_PATHS = config.paths.allowed_paths;
+  DENY_PATTERNS = config.paths.deny_patterns;
+  DEBUG = config.debug;
+  PYTHON_PATH = config.interpreters.python;
+  PYTHON_TIMEOUT = config.timeouts.python;
+  PYTHON_MAX_TIMEOUT = config.timeouts.python_max;
+  POWERSHELL_PATH = detectPowerShell(config.interpreters.powershell);
+  POWERSHELL_TIMEOUT = config.timeouts.powershell;
+  POWERSHELL_MAX_TIMEOUT = config.timeouts.powershell_max;
+  READ_MAX_BYTES = config.limits.read_max_bytes;
+  OUTPUT_MAX_BYTES = config.limits.output_max_bytes;
+  ARCHIVE_MAX_ENTRIES = config.limits.archive_max_entries;
+  ARCHIVE_MAX_BYTES = config.limits.archive_max_bytes;
+  PROCESS_LIMITS = {
+    memory_mb: config.processes.max_memory_mb,
+    cpu_seconds: config.processes.max_cpu_seconds,
+    open_files: config.processes.max_open_files,
+    processes: config.processes.max_processes
+  };
+  SPILL_DIR = config.limits.spill_dir;
+  SPILL_MAX_AGE_HOURS = config.limits.spill_max_age_hours;
+  PYTHON_MAX_SESSIONS = config.sessions.python_max;
+  PYTHON_SESSION_IDLE_TIMEOUT = config.sessions.python_idle_timeout;
+  PYTHON_SAFETY_ENABLED = config.python_safety.enabled;
+  PYTHON_SAFETY_CHECK_SCRIPTS = config.python_safety.check_scripts;
+  PYTHON_SAFETY_RULES = config.python_safety.rules;
+  JOBS_DIR = config.jobs.dir;
+  JOBS_MAX_RUNNING = config.jobs.max_running;
+  JOB_LOG_MAX_BYTES = config.jobs.log_max_bytes;
+  JOB_LOG_FILES = config.jobs.log_files;
+  BACKUP_DIR = config.backups.dir;
+  BACKUP_MAX_AGE_DAYS = config.backups.max_age_days;
+  BACKUP_MAX_COUNT = config.backups.max_count;
+  BACKUP_MAX_TOTAL_MB = config.backups.max_total_mb;
+  AUDIT_ENABLED = config.audit.enabled;
+  AUDIT_LOG_FILE = config.audit.file;
+  AUDIT_LOG_MAX_BYTES = config.audit.max_bytes;
+  AUDIT_LOG_FILES = config.audit.files;
+  AUDIT_REDACT_KEYS = config.audit.redact_keys;
+  APPROVAL_ENABLED = config.approval.enabled;
+  APPROVAL_TOOLS = config.approval.tools;
+  APPROVAL_TOKEN_TTL = config.approval.token_ttl;
+  ENABLED_TOOLS = config.tools.enabled;
+  DISABLED_TOOLS = config.tools.disabled;
+  PATH_ROOTS = buildPathRoots();
+}
+
+/**
+ * Re-read the config file. An invalid file is reported and the previous
+ * settings stay in force.
+ */
+function reloadConfig() {
+  try {
+    applyConfig(loadConfig());
+    log('info', `Configuration reloaded from ${CONFIG_PATH}`);
+    for (const handler of configReloadHandlers) {
+      handler();
+    }
+  } catch (error) {
+    log('error', `Configuration reload failed, keeping previous settings. ${error.message}`);
+  }
+}
+
+function watchConfig() {
+  // watchFile polls, which survives editors that replace the file on save
+  fsSync.watchFile(CONFIG_PATH, { interval: 1000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+      reloadConfig();
+    }
+  }).unref();
+}
+
+function isToolEnabled(name) {
+  return (ENABLED_TOOLS.includes('*') || ENABLED_TOOLS.includes(name)) && !DISABLED_TOOLS.includes(name);
+}
+
+/**
+ * Why a tool can't run on this machine, or null if it can
+ */
+function toolUnavailableReason(name) {
+  if (POWERSHELL_TOOLS.includes(name) && !POWERSHELL_PATH) {
+    return 'no PowerShell interpreter found (install pwsh or set POWERSHELL_PATH)';
+  }
+  return null;
+}
 
 function log(level, ...args) {
   if (DEBUG || level === 'error') {
@@ -37,36 +387,137 @@ function log(level, ...args) {
   }
 }
 
-function validatePath(filePath) {
-  const normalized = path.normalize(filePath);
+// ============================================================================
+// PATH POLICY - Realpath containment, deny globs, per-root grants
+// ============================================================================
 
-  // Check for Linux-style /mnt/ paths (WSL)
-  if (normalized.startsWith('/mnt/')) {
-    const driveLetter = normalized.charAt(5).toUpperCase();
-    if (ALLOWED_DRIVES.includes(driveLetter)) {
-      return normalized;
+const IS_WINDOWS = process.platform === 'win32';
+const ACCESS_FLAGS = { read: 'r', write: 'w', execute: 'x' };
+
+/**
+ * Resolve symlinks in the longest existing prefix of a path, then re-append
+ * the components that don't exist yet (e.g. a file about to be written)
+ */
+function resolveRealPath(target) {
+  const missing = [];
+  let current = target;
+  while (true) {
+    try {
+      return path.join(fsSync.realpathSync.native(current), ...missing.reverse());
+    } catch (e) {
+      if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') {
+        throw e;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return target;
+      }
+      missing.push(path.basename(current));
+      current = parent;
     }
   }
+}
+
+function toComparablePath(p) {
+  const posix = p.split(path.sep).join('/');
+  return IS_WINDOWS ? posix.toLowerCase() : posix;
+}
+
+function isInsideRoot(target, root) {
+  const relative = path.relative(root, target);
+  if (IS_WINDOWS && path.parse(target).root.toLowerCase() !== path.parse(root).root.toLowerCase()) {
+    return false;
+  }
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Build the list of allowed roots. ALLOWED_PATHS entries may carry a grant
+ * suffix, e.g. "/srv/data=r" or "C:/Projects=rw"; without one a root gets
+ * rwx. Allowed drives map to "C:\" on Windows and "/mnt/c" (WSL) elsewhere.
+ */
+function buildPathRoots() {
+  const roots = [];
+
+  for (const entry of ALLOWED_PATHS) {
+    const match = entry.trim().match(/^(.*?)(?:=([rwx]+))?$/);
+    const resolved = path.resolve(match[1]);
+    roots.push({ path: resolveRealPath(resolved), configured: match[1], access: match[2] || 'rwx', drive: false });
+  }
+
+  for (const drive of ALLOWED_DRIVES.map(d => d.trim()).filter(d => /^[a-zA-Z]$/.test(d))) {
+    const root = IS_WINDOWS ? `${drive.toUpperCase()}:\\` : `/mnt/${drive.toLowerCase()}`;
+    roots.push({ path: resolveRealPath(root), configured: root, access: 'rwx', drive: true });
+  }
+
+  // Most specific root first, so a narrower grant overrides a broader one
+  return roots.sort((a, b) => b.path.length - a.path.length);
+}
 
-  // Check for Linux home/allowed paths
-  if (normalized.startsWith('/home/') || normalized.startsWith('/tmp/')) {
-    return normalized;
+let PATH_ROOTS = [];
+
+function findDenyPattern(p) {
+  const comparable = toComparablePath(p);
+  return DENY_PATTERNS.find(pattern =>
+    minimatch(comparable, pattern, { dot: true, nocase: IS_WINDOWS }) ||
+    minimatch(`${comparable}/`, pattern, { dot: true, nocase: IS_WINDOWS })
+  );
+}
+
+/**
+ * Check a path against the policy and return its symlink-resolved form, so
+ * what gets opened is what was checked even if a link along the way is
+ * swapped afterwards. access is 'read', 'write' or 'execute'. Both the path
+ * as given and its resolved form must pass: inside an allowed root that
+ * grants the access, and not matching any deny pattern.
+ *
+ * A symlink as the last component is returned as the link itself, under
+ * its resolved directory, so delete_file and friends act on the link and
+ * not on its target. The link's own location must pass the roots too.
+ */
+function validatePath(filePath, access = 'read') {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw new Error('Path is required');
   }
 
-  // Check ALLOWED_PATHS from env
-  for (const allowedPath of ALLOWED_PATHS) {
-    if (normalized.startsWith(allowedPath)) {
-      return normalized;
+  const normalized = path.resolve(filePath);
+  const real = resolveRealPath(normalized);
+  let result = real;
+  try {
+    if (fsSync.lstatSync(normalized).isSymbolicLink()) {
+      result = path.join(resolveRealPath(path.dirname(normalized)), path.basename(normalized));
+    }
+  } catch (e) {}
+
+  for (const candidate of new Set([normalized, real, result])) {
+    const denied = findDenyPattern(candidate);
+    if (denied) {
+      throw new Error(`Access denied: ${candidate} matches deny pattern ${denied}`);
     }
   }
 
-  // Check for Windows drive letters
-  const drive = normalized.charAt(0).toUpperCase();
-  if (ALLOWED_DRIVES.includes(drive)) {
-    return normalized;
+  for (const candidate of new Set([real, result])) {
+    const root = PATH_ROOTS.find(r => isInsideRoot(candidate, r.path));
+    if (!root) {
+      const via = candidate !== normalized ? ` (resolves to ${candidate})` : '';
+      throw new Error(`Access denied: Path ${normalized}${via} not in allowed list (drives: ${ALLOWED_DRIVES.join(', ') || 'none'}, paths: ${ALLOWED_PATHS.join(', ') || 'none'})`);
+    }
+
+    if (!root.access.includes(ACCESS_FLAGS[access])) {
+      throw new Error(`Access denied: ${access} access to ${normalized} is not granted (root ${root.configured} allows '${root.access}')`);
+    }
   }
 
-  throw new Error(`Access denied: Path ${normalized} not in allowed list (drives: ${ALLOWED_DRIVES.join(', ')}, paths: ${ALLOWED_PATHS.join(', ') || 'none'})`);
+  return result;
+}
+
+function isPathAllowed(filePath, access = 'read') {
+  try {
+    validatePath(filePath, access);
+    return true;
+  } catch (e) {
+    return false;
+  }
 }
 
 async function listDirectory(dirPath) {
@@ -80,11 +531,11 @@ async function listDirectory(dirPath) {
       entries.map(async (entry) => {
         const fullPath = path.join(validated, entry.name);
         try {
-          const stats = await fs.stat(fullPath);
+          const stats = await fs.lstat(fullPath);
           return {
             name: entry.name,
             path: fullPath,
-            type: entry.isDirectory() ? 'directory' : 'file',
+            type: entryType(entry),
             size: stats.size,
             modified: stats.mtime.toISOString(),
             created: stats.birthtime.toISOString()
@@ -93,7 +544,7 @@ async function listDirectory(dirPath) {
           return {
             name: entry.name,
             path: fullPath,
-            type: entry.isDirectory() ? 'directory' : 'file',
+            type: entryType(entry),
             error: 'Could not read stats'
           };
         }
@@ -114,22 +565,463 @@ async function listDirectory(dirPath) {
   }
 }
 
-async function readFile(filePath, encoding = 'utf8') {
+function entryType(dirent) {
+  if (dirent.isSymbolicLink()) {
+    return 'symlink';
+  }
+  return dirent.isDirectory() ? 'directory' : 'file';
+}
+
+const TREE_SORT_KEYS = ['name', 'size', 'modified'];
+const TREE_SCAN_LIMIT = 200000;
+
+/**
+ * Recursive listing in one call. Entries come back flattened in tree order
+ * (each directory followed by its children) so they can be paged with
+ * offset/limit. Directory sizes and file counts cover everything below
+ * them, including levels past max_depth that aren't listed. Symlinks are
+ * listed with their target and never followed. Entries matching deny
+ * patterns are skipped silently, as in search_files.
+ */
+async function directoryTree(dirPath, options = {}) {
+  try {
+    const validated = validatePath(dirPath);
+    const maxDepth = options.maxDepth ?? 3;
+    const include = options.include || [];
+    const exclude = options.exclude || [];
+    const showHidden = options.showHidden === true;
+    const sortBy = options.sortBy || 'name';
+    const descending = options.order === 'desc';
+    const offset = options.offset || 0;
+    const limit = options.limit || 500;
+
+    if (!TREE_SORT_KEYS.includes(sortBy)) {
+      throw new Error(`sort_by must be one of ${TREE_SORT_KEYS.join(', ')}`);
+    }
+    if (!(await fs.stat(validated)).isDirectory()) {
+      throw new Error(`Not a directory: ${validated}`);
+    }
+    log('info', `Building tree: ${validated} (depth ${maxDepth})`);
+
+    const globOptions = { dot: true, matchBase: true, nocase: IS_WINDOWS };
+    const matches = (relative, patterns) => patterns.some(p => minimatch(relative, p, globOptions));
+    let scanned = 0;
+
+    // Directories always walk (so sizes stay complete); include only
+    // narrows which files are counted and listed, and drops directories
+    // left without any
+    const walk = async (dir, depth) => {
+      const node = { size: 0, file_count: 0, children: [] };
+      let dirents;
+      try {
+        dirents = await fs.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        node.error = err.code || err.message;
+        return node;
+      }
+
+      for (const dirent of dirents) {
+        if (scanned >= TREE_SCAN_LIMIT) {
+          node.incomplete = true;
+          break;
+        }
+        const fullPath = path.join(dir, dirent.name);
+        const relative = toComparablePath(path.relative(validated, fullPath));
+        if ((!showHidden && dirent.name.startsWith('.')) || findDenyPattern(fullPath) || matches(relative, exclude)) {
+          continue;
+        }
+        const type = entryType(dirent);
+        if (type !== 'directory' && include.length > 0 && !matches(relative, include)) {
+          continue;
+        }
+        scanned++;
+
+        const item = { name: dirent.name, path: fullPath, relative: relative, depth: depth, type: type };
+        try {
+          const stats = await fs.lstat(fullPath);
+          item.size = stats.size;
+          item.modified = stats.mtime.toISOString();
+        } catch (err) {
+          item.error = 'Could not read stats';
+        }
+
+        if (type === 'directory') {
+          const sub = await walk(fullPath, depth + 1);
+          item.size = sub.size;
+          item.file_count = sub.file_count;
+          if (sub.error) {
+            item.error = sub.error;
+          }
+          if (depth < maxDepth) {
+            item.children = sub.children;
+          } else if (sub.children.length > 0) {
+            item.children_hidden = sub.children.length;
+          }
+        } else if (type === 'symlink') {
+          item.target = await fs.readlink(fullPath).catch(() => null);
+        }
+
+        if (type === 'directory' && include.length > 0 && item.file_count === 0) {
+          continue;
+        }
+        if (type !== 'symlink') {
+          node.size += item.size || 0;
+          node.file_count += type === 'file' ? 1 : item.file_count || 0;
+        }
+        node.children.push(item);
+      }
+      return node;
+    };
+
+    const root = await walk(validated, 1);
+
+    const compare = (a, b) => {
+      let result;
+      if (sortBy === 'size') {
+        result = (a.size || 0) - (b.size || 0);
+      } else if (sortBy === 'modified') {
+        result = (a.modified || '').localeCompare(b.modified || '');
+      } else {
+        result = a.name.localeCompare(b.name);
+      }
+      return descending ? -result : result;
+    };
+
+    const flat = [];
+    const flatten = (children) => {
+      for (const item of [...children].sort(compare)) {
+        const { children: nested, ...entry } = item;
+        flat.push(entry);
+        if (nested) {
+          flatten(nested);
+        }
+      }
+    };
+    flatten(root.children);
+
+    const page = flat.slice(offset, offset + limit);
+    log('info', `Tree has ${flat.length} entries, returning ${page.length}`);
+
+    return {
+      success: true,
+      path: validated,
+      total_size: root.size,
+      total_files: root.file_count,
+      entries: page,
+      count: page.length,
+      total_entries: flat.length,
+      offset: offset,
+      next_offset: offset + page.length < flat.length ? offset + page.length : null,
+      scan_truncated: scanned >= TREE_SCAN_LIMIT
+    };
+  } catch (error) {
+    log('error', 'Directory tree error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Magic-byte signatures used to sniff the MIME type of binary files
+ */
+const MIME_SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mime: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { mime: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { mime: 'application/gzip', bytes: [0x1F, 0x8B] },
+  { mime: 'application/x-7z-compressed', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { mime: 'application/x-tar', offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] },
+  { mime: 'application/vnd.sqlite3', bytes: [...Buffer.from('SQLite format 3\0')] },
+  { mime: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6D] },
+  { mime: 'application/x-elf', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+  { mime: 'application/vnd.microsoft.portable-executable', bytes: [0x4D, 0x5A] },
+];
+
+/**
+ * Extension fallback for files without a recognizable signature
+ */
+const EXTENSION_MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.py': 'text/x-python',
+  '.ps1': 'text/plain',
+  '.sh': 'application/x-sh',
+  '.svg': 'image/svg+xml',
+};
+
+const SNIFF_BYTES = 8192;
+
+function isBinaryBuffer(buffer) {
+  if (buffer.length === 0) {
+    return false;
+  }
+  let suspicious = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      return true;
+    }
+    // Control characters other than tab, LF, FF, CR and ESC
+    if (byte < 7 || (byte > 13 && byte < 32 && byte !== 27)) {
+      suspicious++;
+    }
+  }
+  return suspicious / buffer.length > 0.3;
+}
+
+function sniffMimeType(buffer, filePath) {
+  for (const signature of MIME_SIGNATURES) {
+    const offset = signature.offset || 0;
+    if (buffer.length >= offset + signature.bytes.length &&
+        signature.bytes.every((byte, i) => buffer[offset + i] === byte)) {
+      return signature.mime;
+    }
+  }
+  if (isBinaryBuffer(buffer)) {
+    return 'application/octet-stream';
+  }
+  return EXTENSION_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'text/plain';
+}
+
+async function readFileRange(filePath, start, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function decodeBuffer(buffer, encoding) {
+  if (encoding === 'base64') {
+    return buffer.toString('base64');
+  }
+  // StringDecoder holds back a trailing partial character instead of mangling it
+  return new StringDecoder(encoding).write(buffer);
+}
+
+function countLinesInBuffer(buffer) {
+  let count = 0;
+  let index = -1;
+  while ((index = buffer.indexOf(0x0A, index + 1)) !== -1) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Count lines by streaming the file, so huge logs never sit in memory
+ */
+async function countLines(filePath) {
+  let count = 0;
+  let lastByte = null;
+  for await (const chunk of fsSync.createReadStream(filePath)) {
+    count += countLinesInBuffer(chunk);
+    lastByte = chunk[chunk.length - 1];
+  }
+  return lastByte !== null && lastByte !== 0x0A ? count + 1 : count;
+}
+
+/**
+ * Cut text to at most maxBytes in the given encoding without splitting a
+ * character
+ */
+function clipText(text, encoding, maxBytes) {
+  return new StringDecoder(encoding).write(Buffer.from(text, encoding).subarray(0, maxBytes));
+}
+
+/**
+ * Stream a file line by line, collecting lines [offset, offset + limit)
+ * while still counting the total. Stops collecting once maxBytes is reached.
+ * Only the part of a line that can still be returned is held in memory, so
+ * a first line longer than maxBytes comes back cut (`clipped`).
+ */
+async function readLineRange(filePath, encoding, offset, limit, maxBytes) {
+  const lines = [];
+  let bytes = 0;
+  let totalLines = 0;
+  let capped = false;
+  let clipped = false;
+  const end = limit ? offset + limit : Infinity;
+
+  // The line being read: what was kept of it, and whether it ran over
+  let current = '';
+  let currentBytes = 0;
+  let overflow = false;
+  let started = false;
+
+  const take = (text) => {
+    started = started || text.length > 0;
+    const lineNumber = totalLines + 1;
+    if (lineNumber < offset || lineNumber >= end || capped || overflow || !text) {
+      return;
+    }
+    const room = maxBytes - bytes - currentBytes;
+    const textBytes = Buffer.byteLength(text, encoding);
+    if (textBytes <= room) {
+      current += text;
+      currentBytes += textBytes;
+      return;
+    }
+    current += clipText(text, encoding, Math.max(room, 0));
+    overflow = true;
+  };
+
+  const endLine = () => {
+    totalLines++;
+    if (totalLines >= offset && totalLines < end && !capped) {
+      if (!overflow) {
+        lines.push(current.endsWith('\r') ? current.slice(0, -1) : current);
+        bytes += currentBytes + 1;
+      } else if (lines.length === 0) {
+        // A single line over the budget: return what fits and stop there
+        lines.push(current);
+        clipped = true;
+        capped = true;
+      } else {
+        capped = true;
+      }
+    }
+    current = '';
+    currentBytes = 0;
+    overflow = false;
+    started = false;
+  };
+
+  const decoder = new StringDecoder(encoding);
+  for await (const chunk of fsSync.createReadStream(filePath)) {
+    const text = decoder.write(chunk);
+    let pos = 0;
+    let newline;
+    while ((newline = text.indexOf('\n', pos)) !== -1) {
+      take(text.slice(pos, newline));
+      endLine();
+      pos = newline + 1;
+    }
+    take(text.slice(pos));
+  }
+  take(decoder.end());
+  if (started) {
+    endLine();
+  }
+
+  return { lines, totalLines, clipped };
+}
+
+function validateRangeOption(value, name, min) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer >= ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Read a file, optionally restricted to a line range (offset/limit) or a
+ * byte range (byte_offset/byte_length). Binary files are returned as base64.
+ * Output is capped at READ_MAX_BYTES; `truncated` is set whenever the
+ * returned content stops before the end of the file.
+ */
+async function readFile(filePath, options = {}) {
   try {
     const validated = validatePath(filePath);
+    const encoding = options.encoding || 'utf8';
+    const offset = validateRangeOption(options.offset, 'offset', 1);
+    const limit = validateRangeOption(options.limit, 'limit', 1);
+    const byteOffset = validateRangeOption(options.byteOffset, 'byte_offset', 0);
+    const byteLength = validateRangeOption(options.byteLength, 'byte_length', 1);
+    const lineMode = offset !== null || limit !== null;
+    const byteMode = byteOffset !== null || byteLength !== null;
+
+    if (lineMode && byteMode) {
+      throw new Error('Use either offset/limit (lines) or byte_offset/byte_length (bytes), not both');
+    }
+
     log('info', `Reading file: ${validated}`);
 
-    const content = await fs.readFile(validated, encoding);
     const stats = await fs.stat(validated);
+    if (stats.isDirectory()) {
+      throw new Error(`Path is a directory: ${validated}`);
+    }
 
-    log('info', `Read ${stats.size} bytes`);
+    const sample = await readFileRange(validated, 0, Math.min(stats.size, SNIFF_BYTES));
+    const binary = isBinaryBuffer(sample);
+    const mimeType = sniffMimeType(sample, validated);
+    const outputEncoding = encoding === 'base64' || (binary && encoding === 'utf8') ? 'base64' : encoding;
 
-    return {
+    const result = {
       success: true,
       path: validated,
-      content: content,
       size: stats.size,
-      encoding: encoding
+      encoding: outputEncoding,
+      mime_type: mimeType,
+      binary: binary
+    };
+
+    if (lineMode) {
+      if (outputEncoding === 'base64') {
+        throw new Error('Line ranges are not available for binary or base64 reads; use byte_offset/byte_length');
+      }
+      const start = offset || 1;
+      const { lines, totalLines, clipped } = await readLineRange(validated, outputEncoding, start, limit, READ_MAX_BYTES);
+      const nextOffset = start + lines.length;
+
+      log('info', `Read ${lines.length} lines starting at line ${start}${clipped ? ' (line cut)' : ''}`);
+
+      return {
+        ...result,
+        content: lines.join('\n'),
+        total_lines: totalLines,
+        offset: start,
+        lines_returned: lines.length,
+        next_offset: nextOffset <= totalLines ? nextOffset : null,
+        truncated: clipped || nextOffset <= totalLines,
+        ...(clipped ? {
+          line_truncated: true,
+          message: `Line ${start} is longer than ${READ_MAX_BYTES} bytes and was cut; read the rest with byte_offset/byte_length`
+        } : {})
+      };
+    }
+
+    const start = byteOffset || 0;
+    const available = Math.max(stats.size - start, 0);
+    const length = Math.min(byteLength || available, available, READ_MAX_BYTES);
+    const buffer = await readFileRange(validated, start, length);
+    const truncated = start + buffer.length < stats.size;
+
+    log('info', `Read ${buffer.length} bytes`);
+
+    let totalLines = null;
+    if (outputEncoding !== 'base64') {
+      totalLines = !byteMode && !truncated
+        ? countLinesInBuffer(buffer) + (buffer.length > 0 && buffer[buffer.length - 1] !== 0x0A ? 1 : 0)
+        : await countLines(validated);
+    }
+
+    return {
+      ...result,
+      content: decodeBuffer(buffer, outputEncoding),
+      total_lines: totalLines,
+      byte_offset: start,
+      bytes_returned: buffer.length,
+      truncated: truncated
     };
   } catch (error) {
     log('error', 'Read file error:', error);
@@ -139,14 +1031,13 @@ async function readFile(filePath, encoding = 'utf8') {
 
 async function writeFile(filePath, content, createBackup = true) {
   try {
-    const validated = validatePath(filePath);
+    const validated = validatePath(filePath, 'write');
     log('info', `Writing file: ${validated}`);
 
     // Create backup if file exists
+    let backup = null;
     if (createBackup && fsSync.existsSync(validated)) {
-      const backupPath = `${validated}.backup_${Date.now()}`;
-      await fs.copyFile(validated, backupPath);
-      log('info', `Backup created: ${backupPath}`);
+      backup = await backupFile(validated);
     }
 
     await fs.writeFile(validated, content, 'utf8');
@@ -158,7 +1049,9 @@ async function writeFile(filePath, content, createBackup = true) {
       success: true,
       path: validated,
       size: stats.size,
-      backup_created: createBackup && fsSync.existsSync(validated)
+      backup_created: backup !== null,
+      backup_id: backup ? backup.id : null,
+      backup_path: backup ? backup.backup_path : null
     };
   } catch (error) {
     log('error', 'Write file error:', error);
@@ -166,13 +1059,482 @@ async function writeFile(filePath, content, createBackup = true) {
   }
 }
 
-async function searchFiles(directory, pattern) {
-  try {
-    const validated = validatePath(directory);
-    log('info', `Searching in ${validated} for pattern: ${pattern}`);
-
-    const searchPath = path.join(validated, pattern);
-    const files = await glob(searchPath, { windowsPathsNoEscape: true });
+// ============================================================================
+// DIFF & PATCH - Line diffs and unified patch application
+// ============================================================================
+
+/**
+ * Split text into lines, keeping each line's terminator so that a missing
+ * trailing newline shows up as a difference
+ */
+function splitLinesKeepEnds(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Past this many edits on either side of a split, a range is reported as
+// replaced wholesale; keeps huge rewrites linear instead of O(N*D)
+const DIFF_MAX_COST = 4096;
+
+/**
+ * Myers O(ND) line diff in linear space: find where the forward and
+ * reverse searches meet, split there and recurse. Returns ops of type
+ * 'equal', 'delete' or 'insert'.
+ */
+function diffLines(oldLines, newLines) {
+  const ops = [];
+  diffRange(oldLines, 0, oldLines.length, newLines, 0, newLines.length, ops);
+  return ops;
+}
+
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push({ type: 'equal', line: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+  let aEnd = aHi;
+  let bEnd = bHi;
+  while (aEnd > aLo && bEnd > bLo && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const replace = () => {
+    for (let i = aLo; i < aEnd; i++) ops.push({ type: 'delete', line: a[i] });
+    for (let i = bLo; i < bEnd; i++) ops.push({ type: 'insert', line: b[i] });
+  };
+
+  if (aLo === aEnd || bLo === bEnd) {
+    replace();
+  } else if (aEnd - aLo === 1 || bEnd - bLo === 1) {
+    // One side is a single line: it is either somewhere in the other side
+    // or it isn't, no search needed
+    const single = aEnd - aLo === 1;
+    const [from, to, line] = single ? [bLo, bEnd, a[aLo]] : [aLo, aEnd, b[bLo]];
+    let at = -1;
+    for (let i = from; i < to && at === -1; i++) {
+      if ((single ? b[i] : a[i]) === line) at = i;
+    }
+    if (at === -1) {
+      replace();
+    } else {
+      const type = single ? 'insert' : 'delete';
+      const source = single ? b : a;
+      for (let i = from; i < at; i++) ops.push({ type, line: source[i] });
+      ops.push({ type: 'equal', line: line });
+      for (let i = at + 1; i < to; i++) ops.push({ type, line: source[i] });
+    }
+  } else {
+    const split = findMiddleSnake(a, aLo, aEnd, b, bLo, bEnd);
+    if (!split) {
+      replace();
+    } else {
+      diffRange(a, aLo, split.x, b, bLo, split.y, ops);
+      diffRange(a, split.x, aEnd, b, split.y, bEnd, ops);
+    }
+  }
+
+  for (let i = aEnd; i < aHi; i++) {
+    ops.push({ type: 'equal', line: a[i] });
+  }
+}
+
+/**
+ * Run the forward and reverse Myers searches until their paths overlap and
+ * return that point, or null when it would take more than DIFF_MAX_COST
+ * edits (or the split wouldn't shrink the problem).
+ */
+function findMiddleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.min(Math.ceil((n + m) / 2), DIFF_MAX_COST);
+  const offset = maxD + 1;
+  const forward = new Int32Array(2 * maxD + 3).fill(-1);
+  const reverse = new Int32Array(2 * maxD + 3).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+  // Diagonals that ran off the grid don't need searching again
+  let fStart = 0;
+  let fEnd = 0;
+  let rStart = 0;
+  let rEnd = 0;
+
+  const splitAt = (x, y) => ((x === 0 && y === 0) || (x === n && y === m)) ? null : { x: aLo + x, y: bLo + y };
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + fStart; k <= d - fEnd; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      if (x > n) {
+        fEnd += 2;
+      } else if (y > m) {
+        fStart += 2;
+      } else if (odd) {
+        const rk = offset + delta - k;
+        if (rk >= 0 && rk < reverse.length && reverse[rk] !== -1 && x >= n - reverse[rk]) {
+          return splitAt(x, y);
+        }
+      }
+    }
+
+    for (let k = -d + rStart; k <= d - rEnd; k += 2) {
+      let x = (k === -d || (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1]))
+        ? reverse[offset + k + 1]
+        : reverse[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      reverse[offset + k] = x;
+      if (x > n) {
+        rEnd += 2;
+      } else if (y > m) {
+        rStart += 2;
+      } else if (!odd) {
+        const fk = offset + delta - k;
+        if (fk >= 0 && fk < forward.length && forward[fk] !== -1) {
+          const fx = forward[fk];
+          const fy = fx - (fk - offset);
+          if (fx >= n - x) {
+            return splitAt(fx, fy);
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Files longer than this are compared by size and hash instead of a line
+// diff, which would be too big to read anyway
+const DIFF_MAX_LINES = 20000;
+
+function describeDiffSide(buffer) {
+  const newlines = countLinesInBuffer(buffer);
+  return {
+    size: buffer.length,
+    lines: buffer.length > 0 && buffer[buffer.length - 1] !== 0x0A ? newlines + 1 : newlines,
+    sha256: createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+/**
+ * Sizes and hashes of both sides when either is over DIFF_MAX_LINES, or
+ * null when a line diff is fine
+ */
+function summarizeLargeDiff(oldBuffer, newBuffer) {
+  const oldSide = describeDiffSide(oldBuffer);
+  const newSide = describeDiffSide(newBuffer);
+  if (oldSide.lines <= DIFF_MAX_LINES && newSide.lines <= DIFF_MAX_LINES) {
+    return null;
+  }
+  return { old: oldSide, new: newSide };
+}
+
+/**
+ * Build a unified diff between two strings. Returns '' when they are equal.
+ */
+function createUnifiedDiff(oldText, newText, oldLabel = 'a', newLabel = 'b', context = 3) {
+  const ops = diffLines(splitLinesKeepEnds(oldText), splitLinesKeepEnds(newText));
+
+  let oldPos = 0;
+  let newPos = 0;
+  for (const op of ops) {
+    op.oldPos = oldPos;
+    op.newPos = newPos;
+    if (op.type !== 'insert') oldPos++;
+    if (op.type !== 'delete') newPos++;
+  }
+
+  const changes = [];
+  ops.forEach((op, i) => {
+    if (op.type !== 'equal') changes.push(i);
+  });
+  if (changes.length === 0) {
+    return '';
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  const prefixes = { equal: ' ', delete: '-', insert: '+' };
+  let c = 0;
+
+  while (c < changes.length) {
+    const start = Math.max(0, changes[c] - context);
+    let end = changes[c] + 1;
+    c++;
+    while (c < changes.length && changes[c] - end <= 2 * context) {
+      end = changes[c] + 1;
+      c++;
+    }
+    end = Math.min(ops.length, end + context);
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== 'insert').length;
+    const newCount = hunk.filter(op => op.type !== 'delete').length;
+    const oldStart = oldCount > 0 ? hunk[0].oldPos + 1 : hunk[0].oldPos;
+    const newStart = newCount > 0 ? hunk[0].newPos + 1 : hunk[0].newPos;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      if (op.line.endsWith('\n')) {
+        output.push(prefixes[op.type] + op.line.slice(0, -1));
+      } else {
+        output.push(prefixes[op.type] + op.line, '\\ No newline at end of file');
+      }
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Parse the hunks of a single-file unified diff
+ */
+function parseUnifiedDiff(patch) {
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+  const hunks = [];
+
+  if (lines.filter(line => line.startsWith('+++ ')).length > 1) {
+    throw new Error('Patch touches more than one file; apply one file at a time');
+  }
+
+  let i = 0;
+  while (i < lines.length) {
+    const header = lines[i].match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    i++;
+    if (!header) {
+      continue;
+    }
+
+    const hunk = {
+      oldStart: parseInt(header[1], 10),
+      oldLines: [],
+      newLines: [],
+      oldNoNewline: false,
+      newNoNewline: false
+    };
+    let oldRemaining = header[2] === undefined ? 1 : parseInt(header[2], 10);
+    let newRemaining = header[4] === undefined ? 1 : parseInt(header[4], 10);
+    let last = null;
+
+    while (i < lines.length && (oldRemaining > 0 || newRemaining > 0 || lines[i].startsWith('\\'))) {
+      const line = lines[i];
+      const marker = line.charAt(0);
+      const text = line.slice(1);
+      if (marker === '\\') {
+        if (last === ' ' || last === '-') hunk.oldNoNewline = true;
+        if (last === ' ' || last === '+') hunk.newNoNewline = true;
+      } else if (marker === ' ' || line === '') {
+        hunk.oldLines.push(text);
+        hunk.newLines.push(text);
+        oldRemaining--;
+        newRemaining--;
+      } else if (marker === '-') {
+        hunk.oldLines.push(text);
+        oldRemaining--;
+      } else if (marker === '+') {
+        hunk.newLines.push(text);
+        newRemaining--;
+      } else {
+        throw new Error(`Malformed patch line ${i + 1}: ${line}`);
+      }
+      last = marker === '\\' ? last : (marker || ' ');
+      i++;
+    }
+
+    if (oldRemaining > 0 || newRemaining > 0) {
+      throw new Error(`Patch hunk starting at line ${hunk.oldStart} is truncated`);
+    }
+    hunks.push(hunk);
+  }
+
+  return hunks;
+}
+
+function hunkMatchesAt(lines, oldLines, index) {
+  if (index < 0 || index + oldLines.length > lines.length) {
+    return false;
+  }
+  return oldLines.every((line, i) => lines[index + i] === line.replace(/\r$/, ''));
+}
+
+/**
+ * Apply a unified diff to text. Each hunk is located at its stated line,
+ * or at the nearest position where its context matches exactly.
+ */
+function applyUnifiedPatch(content, patch) {
+  const hunks = parseUnifiedDiff(patch);
+  if (hunks.length === 0) {
+    throw new Error('Patch contains no hunks');
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+  let endsWithNewline = content.length > 0;
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    endsWithNewline = false;
+  }
+
+  let shift = 0;
+  let floor = 0;
+  hunks.forEach((hunk, h) => {
+    const expected = (hunk.oldLines.length > 0 ? hunk.oldStart - 1 : hunk.oldStart) + shift;
+    let index = -1;
+    for (let delta = 0; delta <= lines.length; delta++) {
+      if (expected - delta >= floor && hunkMatchesAt(lines, hunk.oldLines, expected - delta)) {
+        index = expected - delta;
+        break;
+      }
+      if (delta > 0 && hunkMatchesAt(lines, hunk.oldLines, expected + delta)) {
+        index = expected + delta;
+        break;
+      }
+    }
+    if (index === -1) {
+      throw new Error(`Patch hunk ${h + 1} (@@ -${hunk.oldStart}) does not match the file`);
+    }
+
+    lines.splice(index, hunk.oldLines.length, ...hunk.newLines);
+    shift = index + hunk.newLines.length - (hunk.oldLines.length > 0 ? hunk.oldStart - 1 : hunk.oldStart) - hunk.oldLines.length;
+    floor = index + hunk.newLines.length;
+
+    if (hunk.newNoNewline) {
+      endsWithNewline = false;
+    } else if (hunk.oldNoNewline) {
+      endsWithNewline = true;
+    }
+  });
+
+  return { content: lines.join(eol) + (endsWithNewline && lines.length > 0 ? eol : ''), hunks: hunks.length };
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+/**
+ * Apply exact find/replace edits or a unified diff to a file in place.
+ * Every edit must match exactly once (unless replace_all is set) or
+ * nothing is written.
+ */
+async function editFile(filePath, edits = null, patch = null, createBackup = true, dryRun = false) {
+  try {
+    const validated = validatePath(filePath, 'write');
+
+    if (!edits && !patch) {
+      throw new Error('Either edits or patch must be provided');
+    }
+    if (edits && patch) {
+      throw new Error('Provide either edits or patch, not both');
+    }
+
+    log('info', `Editing file: ${validated}`);
+
+    const original = await fs.readFile(validated, 'utf8');
+    let updated = original;
+    let applied;
+
+    if (patch) {
+      const patched = applyUnifiedPatch(original, patch);
+      updated = patched.content;
+      applied = { hunks_applied: patched.hunks };
+    } else {
+      if (!Array.isArray(edits) || edits.length === 0) {
+        throw new Error('edits must be a non-empty array');
+      }
+      let replacements = 0;
+      edits.forEach((edit, i) => {
+        if (typeof edit.old_text !== 'string' || edit.old_text === '') {
+          throw new Error(`Edit ${i + 1}: old_text must be a non-empty string`);
+        }
+        if (typeof edit.new_text !== 'string') {
+          throw new Error(`Edit ${i + 1}: new_text must be a string`);
+        }
+        const matches = countOccurrences(updated, edit.old_text);
+        if (matches === 0) {
+          throw new Error(`Edit ${i + 1}: old_text not found`);
+        }
+        if (matches > 1 && !edit.replace_all) {
+          throw new Error(`Edit ${i + 1}: old_text matches ${matches} times; add surrounding context or set replace_all`);
+        }
+        updated = updated.split(edit.old_text).join(edit.new_text);
+        replacements += matches;
+      });
+      applied = { edits_applied: edits.length, replacements: replacements };
+    }
+
+    const diff = createUnifiedDiff(original, updated, validated, validated);
+    if (dryRun) {
+      return {
+        success: true,
+        path: validated,
+        changed: diff !== '',
+        ...applied,
+        diff: diff,
+        dry_run: true
+      };
+    }
+    if (!diff) {
+      return {
+        success: true,
+        path: validated,
+        changed: false,
+        ...applied,
+        diff: '',
+        backup_id: null,
+        backup_path: null
+      };
+    }
+
+    const backup = createBackup ? await backupFile(validated) : null;
+    await fs.writeFile(validated, updated, 'utf8');
+    const stats = await fs.stat(validated);
+
+    log('info', `Edited file, now ${stats.size} bytes`);
+
+    return {
+      success: true,
+      path: validated,
+      changed: true,
+      ...applied,
+      size: stats.size,
+      diff: diff,
+      backup_id: backup ? backup.id : null,
+      backup_path: backup ? backup.backup_path : null
+    };
+  } catch (error) {
+    log('error', 'Edit file error:', error);
+    throw error;
+  }
+}
+
+async function searchFiles(directory, pattern) {
+  try {
+    const validated = validatePath(directory);
+    log('info', `Searching in ${validated} for pattern: ${pattern}`);
+
+    const searchPath = path.join(validated, pattern);
+    // The pattern can climb out of the directory (../) or through symlinks
+    const files = (await glob(searchPath, { windowsPathsNoEscape: true }))
+      .filter(file => isPathAllowed(file));
 
     const results = await Promise.all(
       files.map(async (file) => {
@@ -209,6 +1571,164 @@ async function searchFiles(directory, pattern) {
   }
 }
 
+/**
+ * Convert the .gitignore at the root of a directory into glob ignore
+ * patterns. Negations (!pattern) are not supported and are skipped.
+ */
+async function loadGitignorePatterns(directory) {
+  const patterns = ['**/.git/**'];
+  let content;
+  try {
+    content = await fs.readFile(path.join(directory, '.gitignore'), 'utf8');
+  } catch (e) {
+    return patterns;
+  }
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('!')) {
+      continue;
+    }
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    const base = anchored ? line : `**/${line}`;
+    patterns.push(`${base}/**`);
+    if (!dirOnly) {
+      patterns.push(base);
+    }
+  }
+
+  return patterns;
+}
+
+const GREP_MAX_LINE_LENGTH = 1000;
+
+function clipLine(line) {
+  return line.length > GREP_MAX_LINE_LENGTH ? line.slice(0, GREP_MAX_LINE_LENGTH) + '...' : line;
+}
+
+/**
+ * Stream one file and collect regex matches with surrounding context lines
+ */
+async function grepFile(filePath, regex, contextLines, maxMatches) {
+  const matches = [];
+  const pending = [];
+  const before = [];
+  let lineNumber = 0;
+
+  const rl = readline.createInterface({
+    input: fsSync.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    lineNumber++;
+
+    for (const match of pending) {
+      match.after.push(clipLine(line));
+    }
+    while (pending.length > 0 && pending[0].after.length >= contextLines) {
+      pending.shift();
+    }
+
+    if (matches.length >= maxMatches) {
+      if (pending.length === 0) {
+        break;
+      }
+    } else if (regex.test(line)) {
+      const match = { file: filePath, line: lineNumber, text: clipLine(line) };
+      if (contextLines > 0) {
+        match.before = [...before];
+        match.after = [];
+        pending.push(match);
+      }
+      matches.push(match);
+    }
+
+    if (contextLines > 0) {
+      before.push(clipLine(line));
+      if (before.length > contextLines) {
+        before.shift();
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Search inside files for a regular expression. Binary files are skipped.
+ */
+async function grepFiles(directory, pattern, options = {}) {
+  try {
+    const validated = validatePath(directory);
+    const fileGlob = options.glob || '**/*';
+    const contextLines = Math.max(0, options.contextLines || 0);
+    const maxResults = Math.max(1, options.maxResults || 100);
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, options.caseSensitive === false ? 'i' : '');
+    } catch (e) {
+      throw new Error(`Invalid pattern: ${e.message}`);
+    }
+
+    log('info', `Grepping ${validated} (${fileGlob}) for: ${pattern}`);
+
+    const ignore = options.respectGitignore ? await loadGitignorePatterns(validated) : [];
+    const files = (await glob(fileGlob, {
+      cwd: validated,
+      absolute: true,
+      nodir: true,
+      ignore: ignore,
+      windowsPathsNoEscape: true
+    })).filter(file => isPathAllowed(file)).sort();
+
+    const matches = [];
+    let filesSearched = 0;
+    let binarySkipped = 0;
+    let unreadable = 0;
+
+    for (const file of files) {
+      if (matches.length >= maxResults) {
+        break;
+      }
+      try {
+        const stats = await fs.stat(file);
+        const sample = await readFileRange(file, 0, Math.min(stats.size, SNIFF_BYTES));
+        if (isBinaryBuffer(sample)) {
+          binarySkipped++;
+          continue;
+        }
+        filesSearched++;
+        matches.push(...await grepFile(file, regex, contextLines, maxResults - matches.length));
+      } catch (err) {
+        unreadable++;
+      }
+    }
+
+    log('info', `Found ${matches.length} matching lines in ${filesSearched} files`);
+
+    return {
+      success: true,
+      pattern: pattern,
+      directory: validated,
+      glob: fileGlob,
+      matches: matches,
+      count: matches.length,
+      truncated: matches.length >= maxResults,
+      files_searched: filesSearched,
+      binary_files_skipped: binarySkipped,
+      unreadable_files: unreadable
+    };
+  } catch (error) {
+    log('error', 'Grep files error:', error);
+    throw error;
+  }
+}
+
 async function getFileInfo(filePath) {
   try {
     const validated = validatePath(filePath);
@@ -234,7 +1754,7 @@ async function getFileInfo(filePath) {
 
 async function createDirectory(dirPath) {
   try {
-    const validated = validatePath(dirPath);
+    const validated = validatePath(dirPath, 'write');
     log('info', `Creating directory: ${validated}`);
 
     await fs.mkdir(validated, { recursive: true });
@@ -253,14 +1773,12 @@ async function createDirectory(dirPath) {
 
 async function deleteFile(filePath, createBackup = true) {
   try {
-    const validated = validatePath(filePath);
+    const validated = validatePath(filePath, 'write');
     log('info', `Deleting file: ${validated}`);
 
-    let backupPath = null;
+    let backup = null;
     if (createBackup) {
-      backupPath = `${validated}.deleted_${Date.now()}`;
-      await fs.copyFile(validated, backupPath);
-      log('info', `Backup created: ${backupPath}`);
+      backup = await backupFile(validated, 'deleted');
     }
 
     await fs.unlink(validated);
@@ -270,7 +1788,8 @@ async function deleteFile(filePath, createBackup = true) {
     return {
       success: true,
       path: validated,
-      backup_path: backupPath
+      backup_id: backup ? backup.id : null,
+      backup_path: backup ? backup.backup_path : null
     };
   } catch (error) {
     log('error', 'Delete file error:', error);
@@ -279,774 +1798,6188 @@ async function deleteFile(filePath, createBackup = true) {
 }
 
 // ============================================================================
-// PYTHON EXECUTION - Direct Python Access
+// MOVE, COPY & DIRECTORY DELETE
 // ============================================================================
 
-/**
- * DANGEROUS PATTERNS - Security check for Python code
- * Blocks: system calls, imports of dangerous modules, file deletion, etc.
- */
-const DANGEROUS_PATTERNS = [
-  /\bos\.system\s*\(/,
-  /\bsubprocess\.(call|run|Popen)\s*\(/,
-  /\beval\s*\(/,
-  /\bexec\s*\(/,
-  /\b__import__\s*\(/,
-  /\bopen\s*\([^)]*['"][wa]/,  // file write/append mode
-  /\bshutil\.rmtree\s*\(/,
-  /\bos\.remove\s*\(/,
-  /\bos\.unlink\s*\(/,
-  /\bos\.rmdir\s*\(/,
-];
+const COPY_OVERWRITE_POLICIES = ['error', 'skip', 'overwrite'];
 
-function checkPythonCodeSafety(code) {
-  for (const pattern of DANGEROUS_PATTERNS) {
-    if (pattern.test(code)) {
-      return { safe: false, reason: `Dangerous pattern detected: ${pattern.toString()}` };
+/**
+ * Every entry below dir (depth first, dir itself excluded). Symlinks are
+ * reported as such and not followed.
+ */
+async function listTree(dir) {
+  const entries = [];
+  const stack = [dir];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isSymbolicLink()) {
+        entries.push({ path: fullPath, type: 'symlink', size: 0 });
+      } else if (entry.isDirectory()) {
+        entries.push({ path: fullPath, type: 'directory', size: 0 });
+        stack.push(fullPath);
+      } else if (entry.isFile()) {
+        entries.push({ path: fullPath, type: 'file', size: (await fs.lstat(fullPath)).size });
+      }
     }
   }
-  return { safe: true };
+  return entries;
 }
 
 /**
- * Run a Python script file with arguments
- * CRITICAL: Uses spawn with stdio: ['ignore', 'pipe', 'pipe'] to prevent MCP conflicts
+ * Refuse to act on a tree that contains paths the policy hides, so a
+ * directory move or delete can't take a protected .env or key file with it.
  */
-async function runPythonScript(scriptPath, args = [], cwd = null, timeout = PYTHON_TIMEOUT, env = {}) {
-  const validated = validatePath(scriptPath);
+function assertNoDeniedEntries(entries, action) {
+  for (const entry of entries) {
+    const denied = findDenyPattern(entry.path);
+    if (denied) {
+      throw new Error(`Cannot ${action}: ${entry.path} matches deny pattern ${denied}`);
+    }
+  }
+}
 
-  // Check file exists
-  if (!fsSync.existsSync(validated)) {
-    throw new Error(`Script not found: ${validated}`);
+function assertNotRoot(validated, action) {
+  const root = PATH_ROOTS.find(r => toComparablePath(r.path) === toComparablePath(resolveRealPath(validated)));
+  if (root) {
+    throw new Error(`Cannot ${action} an allowed root itself: ${root.configured}`);
   }
+}
 
-  // Set working directory
-  const workDir = cwd ? validatePath(cwd) : path.dirname(validated);
+/**
+ * Move or rename a file or directory. An existing destination file is only
+ * replaced with overwrite, and is backed up first; existing directories are
+ * never merged into.
+ */
+async function movePath(source, destination, overwrite = false, createBackup = true) {
+  try {
+    const from = validatePath(source, 'write');
+    const to = validatePath(destination, 'write');
+    const stats = await fs.lstat(from);
+    log('info', `Moving ${from} -> ${to}`);
 
-  // Validate timeout
-  const safeTimeout = Math.min(Math.max(timeout, 1000), PYTHON_MAX_TIMEOUT);
+    if (stats.isDirectory()) {
+      assertNotRoot(from, 'move');
+      if (isInsideRoot(to, from)) {
+        throw new Error(`Cannot move a directory into itself: ${to}`);
+      }
+      assertNoDeniedEntries(await listTree(from), 'move');
+    }
 
-  log('info', `Running Python script: ${validated} (timeout: ${safeTimeout}ms)`);
+    let backup = null;
+    const replaced = fsSync.existsSync(to);
+    if (replaced) {
+      const existing = await fs.lstat(to);
+      if (existing.isDirectory()) {
+        throw new Error(`Destination is an existing directory: ${to}`);
+      }
+      if (!overwrite) {
+        throw new Error(`Destination exists: ${to} (set overwrite to replace it)`);
+      }
+      if (createBackup) {
+        backup = await backupFile(to);
+      }
+    }
 
-  return new Promise((resolve, reject) => {
-    const startTime = Date.now();
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    try {
+      await fs.rename(from, to);
+    } catch (e) {
+      if (e.code !== 'EXDEV') {
+        throw e;
+      }
+      // Different volume: copy, then remove the original
+      await fs.cp(from, to, { recursive: true, force: true, verbatimSymlinks: true, preserveTimestamps: true });
+      await fs.rm(from, { recursive: true, force: true });
+    }
 
-    // Merge environment
-    const procEnv = {
-      ...process.env,
-      PYTHONUNBUFFERED: '1',
-      PYTHONDONTWRITEBYTECODE: '1',
-      ...env
-    };
-
-    // CRITICAL: stdio configuration for MCP safety
-    // 'ignore' for stdin prevents inheriting MCP's JSON-RPC transport
-    const proc = spawn(PYTHON_PATH, [validated, ...args], {
-      cwd: workDir,
-      env: procEnv,
-      stdio: ['ignore', 'pipe', 'pipe'],
-      timeout: safeTimeout,
-      windowsHide: true
-    });
+    log('info', 'Move complete');
 
-    let stdout = '';
-    let stderr = '';
-    let killed = false;
+    return {
+      success: true,
+      source: from,
+      destination: to,
+      type: stats.isDirectory() ? 'directory' : 'file',
+      replaced: replaced,
+      backup_id: backup ? backup.id : null,
+      backup_path: backup ? backup.backup_path : null
+    };
+  } catch (error) {
+    log('error', 'Move path error:', error);
+    throw error;
+  }
+}
 
-    // Timeout handler
-    const timeoutId = setTimeout(() => {
-      killed = true;
-      proc.kill('SIGTERM');
-    }, safeTimeout);
+/**
+ * Copy a file or directory tree. overwrite decides what happens to files
+ * that already exist at the destination: 'error' (checked before anything
+ * is copied), 'skip', or 'overwrite' (backing up each replaced file).
+ * Files the policy denies are left out of the copy.
+ */
+async function copyPath(source, destination, overwrite = 'error', createBackup = true) {
+  try {
+    if (!COPY_OVERWRITE_POLICIES.includes(overwrite)) {
+      throw new Error(`overwrite must be one of ${COPY_OVERWRITE_POLICIES.join(', ')}`);
+    }
+    const from = validatePath(source);
+    const to = validatePath(destination, 'write');
+    const stats = await fs.lstat(from);
+    log('info', `Copying ${from} -> ${to}`);
 
-    proc.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+    let plan;
+    if (stats.isDirectory()) {
+      if (isInsideRoot(to, from)) {
+        throw new Error(`Cannot copy a directory into itself: ${to}`);
+      }
+      if (fsSync.existsSync(to) && !(await fs.stat(to)).isDirectory()) {
+        throw new Error(`Destination is not a directory: ${to}`);
+      }
+      plan = (await listTree(from)).map(entry => ({
+        ...entry,
+        target: path.join(to, path.relative(from, entry.path))
+      }));
+    } else {
+      plan = [{ path: from, type: 'file', size: stats.size, target: to }];
+    }
 
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    const deniedSkipped = plan.filter(entry => findDenyPattern(entry.path) || !isPathAllowed(entry.target, 'write'));
+    const toCopy = plan.filter(entry => !deniedSkipped.includes(entry));
+    // No overwrite policy turns a file into a directory or back
+    for (const entry of toCopy) {
+      const existing = fsSync.existsSync(entry.target) ? await fs.lstat(entry.target) : null;
+      if (existing && entry.type !== 'directory' && existing.isDirectory()) {
+        throw new Error(entry.path === from
+          ? `Destination is a directory: ${to} (give the full target path, e.g. ${path.join(to, path.basename(from))})`
+          : `Cannot copy ${entry.path}: destination is a directory: ${entry.target}`);
+      }
+      if (existing && entry.type === 'directory' && !(await fs.stat(entry.target)).isDirectory()) {
+        throw new Error(`Cannot copy ${entry.path}: destination is not a directory: ${entry.target}`);
+      }
+    }
+    const conflicts = toCopy.filter(entry => entry.type !== 'directory' && fsSync.existsSync(entry.target));
+    if (overwrite === 'error' && conflicts.length > 0) {
+      throw new Error(`${conflicts.length} destination file(s) exist, e.g. ${conflicts[0].target} (set overwrite to 'skip' or 'overwrite')`);
+    }
 
-    proc.on('close', (code) => {
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
+    let copied = 0;
+    let copiedBytes = 0;
+    const skipped = [];
+    const backups = [];
+    await fs.mkdir(stats.isDirectory() ? to : path.dirname(to), { recursive: true });
 
-      if (killed) {
-        resolve({
-          success: false,
-          exit_code: -1,
-          stdout: stdout,
-          stderr: stderr,
-          duration_ms: duration,
-          error: `Script killed after timeout (${safeTimeout}ms)`,
-          script_path: validated,
-          working_directory: workDir
-        });
+    for (const entry of toCopy) {
+      if (entry.type === 'directory') {
+        await fs.mkdir(entry.target, { recursive: true });
+        continue;
+      }
+      if (conflicts.includes(entry)) {
+        if (overwrite === 'skip') {
+          skipped.push(entry.target);
+          continue;
+        }
+        if (createBackup && (await fs.lstat(entry.target)).isFile()) {
+          backups.push((await backupFile(entry.target)).id);
+        }
+        await fs.rm(entry.target, { force: true });
+      }
+      if (entry.type === 'symlink') {
+        await fs.symlink(await fs.readlink(entry.path), entry.target);
       } else {
-        log('info', `Script completed with exit code ${code} in ${duration}ms`);
-        resolve({
-          success: code === 0,
-          exit_code: code,
-          stdout: stdout,
-          stderr: stderr,
-          duration_ms: duration,
-          script_path: validated,
-          working_directory: workDir
-        });
+        await fs.copyFile(entry.path, entry.target);
+        copied++;
+        copiedBytes += entry.size;
       }
-    });
+    }
 
-    proc.on('error', (err) => {
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
-      log('error', 'Python script error:', err);
-      resolve({
-        success: false,
-        exit_code: -1,
-        stdout: stdout,
-        stderr: stderr,
-        duration_ms: duration,
-        error: err.message,
-        script_path: validated,
-        working_directory: workDir
-      });
-    });
-  });
+    log('info', `Copied ${copied} files (${copiedBytes} bytes)`);
+
+    return {
+      success: true,
+      source: from,
+      destination: to,
+      type: stats.isDirectory() ? 'directory' : 'file',
+      files_copied: copied,
+      bytes_copied: copiedBytes,
+      skipped_existing: skipped,
+      skipped_denied: deniedSkipped.map(entry => entry.path),
+      backup_ids: backups
+    };
+  } catch (error) {
+    log('error', 'Copy path error:', error);
+    throw error;
+  }
 }
 
 /**
- * Run inline Python code
- * Creates temp file, executes, cleans up
+ * Delete a directory tree, archiving it into the backup store first so
+ * restore_backup can bring the whole tree back.
  */
-async function runPythonCode(code, timeout = PYTHON_TIMEOUT, cwd = null, env = {}) {
-  if (!code || !code.trim()) {
-    throw new Error('Code cannot be empty');
-  }
-
-  // Security check
-  const safetyCheck = checkPythonCodeSafety(code);
-  if (!safetyCheck.safe) {
-    throw new Error(`Security check failed: ${safetyCheck.reason}`);
-  }
-
-  // Create temp file
-  const tempDir = os.tmpdir();
-  const tempFile = path.join(tempDir, `darkside_python_${Date.now()}_${Math.random().toString(36).slice(2)}.py`);
-
-  log('info', `Running Python code snippet (${code.length} chars)`);
-
+async function deleteDirectory(dirPath, createBackup = true) {
   try {
-    // Write code to temp file
-    await fs.writeFile(tempFile, code, 'utf8');
+    const validated = validatePath(dirPath, 'write');
+    const stats = await fs.lstat(validated);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${validated} (use delete_file for files)`);
+    }
+    assertNotRoot(validated, 'delete');
 
-    // Execute
-    const result = await runPythonScript(tempFile, [], cwd || tempDir, timeout, env);
+    const entries = await listTree(validated);
+    assertNoDeniedEntries(entries, 'delete');
+    log('info', `Deleting directory: ${validated} (${entries.length} entries)`);
 
-    // Add code preview to result
-    result.code_preview = code.length > 200 ? code.slice(0, 200) + '...' : code;
+    const backup = createBackup ? await backupFile(validated, 'deleted') : null;
+    await fs.rm(validated, { recursive: true, force: true });
 
-    return result;
-  } finally {
-    // Clean up temp file
-    try {
-      await fs.unlink(tempFile);
-    } catch (e) {
-      log('warn', `Failed to delete temp file: ${tempFile}`);
-    }
+    log('info', 'Directory deleted');
+
+    return {
+      success: true,
+      path: validated,
+      files_deleted: entries.filter(e => e.type === 'file').length,
+      bytes_deleted: entries.reduce((sum, e) => sum + e.size, 0),
+      backup_id: backup ? backup.id : null,
+      backup_path: backup ? backup.backup_path : null
+    };
+  } catch (error) {
+    log('error', 'Delete directory error:', error);
+    throw error;
   }
 }
 
+// ============================================================================
+// ARCHIVES - zip, tar and tar.gz through the Python standard library
+// ============================================================================
+
+const ARCHIVE_FORMATS = ['zip', 'tar', 'tar.gz'];
+const ARCHIVE_TIMEOUT_DEFAULT = 300000;
+
 /**
- * Check Python code syntax without executing
+ * Helper run by the configured interpreter (zipfile/tarfile ship with every
+ * Python). It only reads, writes and lists what it is told: which entries
+ * go where has already been checked against the path policy by the caller.
+ * The report goes to a file, so big listings aren't cut by the output cap.
  */
-async function checkPythonSyntax(code = null, scriptPath = null) {
-  if (!code && !scriptPath) {
-    throw new Error('Either code or script_path must be provided');
-  }
+const ARCHIVE_HELPER = `
+import base64, json, os, stat, sys, tarfile, zipfile
+from datetime import datetime, timezone
 
-  if (code && scriptPath) {
-    throw new Error('Provide either code or script_path, not both');
-  }
+payload = json.loads(base64.b64decode('%PAYLOAD%').decode('utf-8'))
 
-  let codeToCheck = code;
 
-  if (scriptPath) {
-    const validated = validatePath(scriptPath);
-    if (!fsSync.existsSync(validated)) {
-      return {
-        valid: false,
-        errors: [`Script not found: ${validated}`],
-        source: 'file'
-      };
-    }
-    codeToCheck = await fs.readFile(validated, 'utf8');
-  }
+class LimitError(Exception):
+    pass
 
-  // Use Python's compile to check syntax
-  const checkCode = `
-import sys
-import ast
-try:
-    ast.parse('''${codeToCheck.replace(/\\/g, '\\\\').replace(/'''/g, "\\'\\'\\'")}''')
-    print('SYNTAX_OK')
-except SyntaxError as e:
-    print(f'SYNTAX_ERROR:{e.lineno}:{e.offset}:{e.msg}')
-`;
 
-  const tempDir = os.tmpdir();
-  const tempFile = path.join(tempDir, `syntax_check_${Date.now()}.py`);
+def iso(timestamp):
+    return datetime.fromtimestamp(timestamp, timezone.utc).strftime('%Y-%m-%dT%H:%M:%SZ')
 
-  try {
-    await fs.writeFile(tempFile, checkCode, 'utf8');
 
-    const result = await runPythonScript(tempFile, [], tempDir, 5000);
+def open_tar(path, fmt, mode='r'):
+    return tarfile.open(path, mode + ('|gz' if fmt == 'tar.gz' else '|'))
 
-    if (result.stdout.includes('SYNTAX_OK')) {
-      return {
-        valid: true,
-        message: 'Syntax is valid',
-        source: scriptPath ? 'file' : 'code'
-      };
-    } else if (result.stdout.includes('SYNTAX_ERROR:')) {
-      const parts = result.stdout.split('SYNTAX_ERROR:')[1].trim().split(':');
-      return {
-        valid: false,
-        line_number: parseInt(parts[0], 10),
-        offset: parseInt(parts[1], 10),
-        error: parts.slice(2).join(':'),
-        source: scriptPath ? 'file' : 'code'
-      };
-    } else {
-      return {
-        valid: false,
-        errors: [result.stderr || 'Unknown syntax check error'],
-        source: scriptPath ? 'file' : 'code'
-      };
+
+def zip_entries(archive):
+    for info in archive.infolist():
+        mode = info.external_attr >> 16
+        kind = 'directory' if info.is_dir() else 'symlink' if stat.S_ISLNK(mode) else 'file'
+        modified = datetime(*info.date_time).strftime('%Y-%m-%dT%H:%M:%S')
+        yield info, {'name': info.filename, 'type': kind, 'size': info.file_size,
+                     'compressed_size': info.compress_size, 'modified': modified}
+
+
+def tar_entries(archive):
+    for member in archive:
+        if member.isdir():
+            kind = 'directory'
+        elif member.isfile():
+            kind = 'file'
+        elif member.issym():
+            kind = 'symlink'
+        elif member.islnk():
+            kind = 'hardlink'
+        else:
+            kind = 'other'
+        entry = {'name': member.name, 'type': kind, 'size': member.size, 'modified': iso(member.mtime)}
+        if member.linkname:
+            entry['target'] = member.linkname
+        yield member, entry
+
+
+def entries(archive, fmt):
+    return zip_entries(archive) if fmt == 'zip' else tar_entries(archive)
+
+
+def open_archive(path, fmt):
+    return zipfile.ZipFile(path) if fmt == 'zip' else open_tar(path, fmt)
+
+
+def do_list(p):
+    listed = []
+    with open_archive(p['archive'], p['format']) as archive:
+        for _, entry in entries(archive, p['format']):
+            if len(listed) >= p['max_entries']:
+                return {'entries': listed, 'complete': False}
+            listed.append(entry)
+    return {'entries': listed, 'complete': True}
+
+
+def do_extract(p):
+    targets = {m['index']: m['target'] for m in p['members']}
+    budget = p['max_bytes']
+    written = 0
+    created_files = []
+    created_dirs = []
+
+    def make_dirs(directory):
+        missing = []
+        while directory and not os.path.isdir(directory):
+            missing.append(directory)
+            directory = os.path.dirname(directory)
+        for d in reversed(missing):
+            os.mkdir(d)
+            created_dirs.append(d)
+
+    try:
+        with open_archive(p['archive'], p['format']) as archive:
+            for index, (member, entry) in enumerate(entries(archive, p['format'])):
+                target = targets.get(index)
+                if target is None:
+                    continue
+                if entry['type'] == 'directory':
+                    make_dirs(target)
+                    continue
+                make_dirs(os.path.dirname(target))
+                source = archive.open(member) if p['format'] == 'zip' else archive.extractfile(member)
+                existed = os.path.exists(target)
+                with source, open(target, 'wb') as out:
+                    if not existed:
+                        created_files.append(target)
+                    while True:
+                        chunk = source.read(65536)
+                        if not chunk:
+                            break
+                        written += len(chunk)
+                        if written > budget:
+                            raise LimitError('Archive expands past %d bytes (ARCHIVE_MAX_BYTES)' % budget)
+                        out.write(chunk)
+                mode = (member.external_attr >> 16) if p['format'] == 'zip' else member.mode
+                if os.name != 'nt' and mode & 0o111:
+                    os.chmod(target, os.stat(target).st_mode | (mode & 0o111))
+    except BaseException:
+        # Leave the destination as we found it (overwritten files were backed up)
+        for f in created_files:
+            try:
+                os.remove(f)
+            except OSError:
+                pass
+        for d in reversed(created_dirs):
+            try:
+                os.rmdir(d)
+            except OSError:
+                pass
+        raise
+    return {'bytes_written': written, 'directories_created': len(created_dirs)}
+
+
+def do_create(p):
+    partial = p['archive'] + '.partial'
+    try:
+        if p['format'] == 'zip':
+            with zipfile.ZipFile(partial, 'w', zipfile.ZIP_DEFLATED) as archive:
+                for f in p['files']:
+                    archive.write(f['path'], f['arcname'])
+        else:
+            with tarfile.open(partial, 'w:gz' if p['format'] == 'tar.gz' else 'w') as archive:
+                for f in p['files']:
+                    archive.add(f['path'], f['arcname'], recursive=False)
+        os.replace(partial, p['archive'])
+    finally:
+        if os.path.exists(partial):
+            os.remove(partial)
+    return {'size': os.path.getsize(p['archive'])}
+
+
+try:
+    report = {'list': do_list, 'extract': do_extract, 'create': do_create}[payload['op']](payload)
+except (LimitError, OSError, zipfile.BadZipFile, tarfile.TarError, EOFError, ValueError) as e:
+    report = {'error': str(e) or e.__class__.__name__}
+
+with open(payload['report'], 'w', encoding='utf-8') as f:
+    json.dump(report, f)
+`;
+
+function detectArchiveFormat(archivePath, format) {
+  if (format) {
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      throw new Error(`format must be one of ${ARCHIVE_FORMATS.join(', ')}`);
     }
-  } finally {
-    try {
-      await fs.unlink(tempFile);
-    } catch (e) {}
+    return format;
+  }
+  const lower = archivePath.toLowerCase();
+  if (lower.endsWith('.zip')) {
+    return 'zip';
+  }
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+    return 'tar.gz';
   }
+  if (lower.endsWith('.tar')) {
+    return 'tar';
+  }
+  throw new Error(`Cannot tell the archive format from ${path.basename(archivePath)}; pass format (${ARCHIVE_FORMATS.join(', ')})`);
 }
 
-/**
- * Get Python interpreter info
- */
-async function getPythonInfo() {
-  const code = `
-import sys
-import platform
-import json
-print(json.dumps({
-    "version": sys.version,
-    "version_info": {
-        "major": sys.version_info.major,
-        "minor": sys.version_info.minor,
-        "micro": sys.version_info.micro
-    },
-    "executable": sys.executable,
-    "platform": platform.platform(),
-    "architecture": platform.architecture()[0],
-    "prefix": sys.prefix
-}))
-`;
+async function runArchiveHelper(payload, timeout = ARCHIVE_TIMEOUT_DEFAULT) {
+  const stamp = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+  const tempFile = path.join(os.tmpdir(), `darkside_archive_${stamp}.py`);
+  const reportFile = path.join(os.tmpdir(), `darkside_archive_${stamp}.json`);
+  const encoded = Buffer.from(JSON.stringify({ ...payload, report: reportFile })).toString('base64');
 
-  const result = await runPythonCode(code, 5000);
+  try {
+    await fs.writeFile(tempFile, ARCHIVE_HELPER.replace('%PAYLOAD%', encoded), 'utf8');
+    const result = await spawnPython(tempFile, [], os.tmpdir(), timeout);
 
-  if (result.success) {
+    let report;
     try {
-      return JSON.parse(result.stdout.trim());
+      report = JSON.parse(await fs.readFile(reportFile, 'utf8'));
     } catch (e) {
-      return { error: 'Failed to parse Python info', raw: result.stdout };
+      throw new Error(`Archive helper failed: ${result.error || result.stderr || 'no report written'}`);
     }
-  } else {
-    return { error: result.stderr || result.error };
+    if (report.error) {
+      throw new Error(report.error);
+    }
+    return report;
+  } finally {
+    await fs.rm(tempFile, { force: true });
+    await fs.rm(reportFile, { force: true });
   }
 }
 
-// ============================================================================
-// POWERSHELL EXECUTION - Full Windows System Access
-// ============================================================================
-// "For those willing to trust" - Jason Glass, 2026
-// This gives your AI partner real power on your system.
-// ============================================================================
-
 /**
- * Run a PowerShell command
- * CRITICAL: Uses spawn with stdio: ['ignore', 'pipe', 'pipe'] to prevent MCP conflicts
- *
- * NO SECURITY CHECKS - This is intentional.
- * If you're using this MCP, you've chosen to trust your AI partner.
- * The power is real. Use it wisely.
+ * Where an archive entry would land. Absolute names and ../ escapes are
+ * refused outright rather than skipped (zip-slip), and the target must
+ * itself pass the write policy and stay in the destination once symlinks
+ * are resolved.
  */
-async function runPowerShell(command, timeout = POWERSHELL_TIMEOUT, cwd = null) {
-  if (!command || !command.trim()) {
-    throw new Error('Command cannot be empty');
+function archiveEntryTarget(destination, name) {
+  const normalized = name.replace(/\\/g, '/');
+  const target = path.resolve(destination, normalized);
+  if (path.isAbsolute(normalized) || /^[A-Za-z]:/.test(normalized) || !isInsideRoot(target, destination)) {
+    throw new Error(`Unsafe archive entry "${name}": resolves outside ${destination}`);
   }
+  // A symlink already in the destination could still lead elsewhere
+  const resolved = validatePath(target, 'write');
+  if (!isInsideRoot(resolved, destination)) {
+    throw new Error(`Unsafe archive entry "${name}": resolves to ${resolved}, outside ${destination}`);
+  }
+  return resolved;
+}
 
-  // Validate timeout
-  const safeTimeout = Math.min(Math.max(timeout, 1000), POWERSHELL_MAX_TIMEOUT);
-
-  // Set working directory
-  const workDir = cwd ? validatePath(cwd) : os.homedir();
+/**
+ * List an archive's entries without extracting anything
+ */
+async function listArchive(archivePath, format = null, offset = 0, limit = 500) {
+  try {
+    const validated = validatePath(archivePath);
+    const fmt = detectArchiveFormat(validated, format);
+    log('info', `Listing ${fmt} archive: ${validated}`);
 
-  log('info', `Running PowerShell command (timeout: ${safeTimeout}ms)`);
+    const report = await runArchiveHelper({ op: 'list', archive: validated, format: fmt, max_entries: ARCHIVE_MAX_ENTRIES });
+    const page = report.entries.slice(offset, offset + limit);
 
-  return new Promise((resolve, reject) => {
-    const startTime = Date.now();
+    return {
+      success: true,
+      archive: validated,
+      format: fmt,
+      entries: page,
+      count: page.length,
+      total_entries: report.entries.length,
+      total_size: report.entries.reduce((sum, e) => sum + (e.size || 0), 0),
+      offset: offset,
+      next_offset: offset + page.length < report.entries.length ? offset + page.length : null,
+      complete: report.complete
+    };
+  } catch (error) {
+    log('error', 'List archive error:', error);
+    throw error;
+  }
+}
 
-    // PowerShell args for executing a command
-    // -NoProfile: Don't load profile (faster startup)
-    // -NonInteractive: No interactive prompts
-    // -ExecutionPolicy Bypass: Allow script execution
-    // -Command: The command to run
-    const psArgs = [
-      '-NoProfile',
-      '-NonInteractive',
-      '-ExecutionPolicy', 'Bypass',
-      '-Command', command
-    ];
+/**
+ * Extract an archive into destination. Every entry is mapped and checked
+ * before a single byte is written; entry count and declared size are
+ * checked up front, and the bytes actually written are counted again while
+ * extracting because headers can lie. Links and device entries are skipped.
+ */
+async function extractArchive(archivePath, destination, format = null, overwrite = false, createBackup = true, timeout = ARCHIVE_TIMEOUT_DEFAULT) {
+  try {
+    const validated = validatePath(archivePath);
+    const dest = validatePath(destination, 'write');
+    const fmt = detectArchiveFormat(validated, format);
+    log('info', `Extracting ${validated} -> ${dest}`);
 
-    // CRITICAL: stdio configuration for MCP safety
-    const proc = spawn(POWERSHELL_PATH, psArgs, {
-      cwd: workDir,
-      env: process.env,
-      stdio: ['ignore', 'pipe', 'pipe'],
-      windowsHide: true
+    const listing = await runArchiveHelper({ op: 'list', archive: validated, format: fmt, max_entries: ARCHIVE_MAX_ENTRIES }, timeout);
+    if (!listing.complete) {
+      throw new Error(`Archive has more than ${ARCHIVE_MAX_ENTRIES} entries (ARCHIVE_MAX_ENTRIES)`);
+    }
+    const declared = listing.entries.reduce((sum, e) => sum + (e.type === 'file' ? e.size : 0), 0);
+    if (declared > ARCHIVE_MAX_BYTES) {
+      throw new Error(`Archive expands to ${declared} bytes, over ARCHIVE_MAX_BYTES (${ARCHIVE_MAX_BYTES})`);
+    }
+
+    const members = [];
+    const skipped = [];
+    listing.entries.forEach((entry, index) => {
+      if (entry.type !== 'file' && entry.type !== 'directory') {
+        skipped.push({ name: entry.name, type: entry.type });
+        return;
+      }
+      members.push({ index: index, name: entry.name, type: entry.type, target: archiveEntryTarget(dest, entry.name) });
     });
 
-    let stdout = '';
-    let stderr = '';
-    let killed = false;
+    const conflicts = members.filter(m => m.type === 'file' && fsSync.lstatSync(m.target, { throwIfNoEntry: false }));
+    if (conflicts.length > 0 && !overwrite) {
+      throw new Error(`${conflicts.length} file(s) already exist, e.g. ${conflicts[0].target} (set overwrite to replace them)`);
+    }
+    const backups = [];
+    for (const conflict of conflicts) {
+      const existing = await fs.lstat(conflict.target);
+      if (existing.isDirectory()) {
+        throw new Error(`Archive file would replace a directory: ${conflict.target}`);
+      }
+      if (existing.isSymbolicLink()) {
+        throw new Error(`Archive file would be written through a symlink: ${conflict.target}`);
+      }
+      if (createBackup) {
+        backups.push((await backupFile(conflict.target)).id);
+      }
+    }
 
-    // Timeout handler
-    const timeoutId = setTimeout(() => {
-      killed = true;
-      proc.kill('SIGTERM');
-    }, safeTimeout);
+    await fs.mkdir(dest, { recursive: true });
+    const report = await runArchiveHelper({
+      op: 'extract',
+      archive: validated,
+      format: fmt,
+      max_bytes: ARCHIVE_MAX_BYTES,
+      members: members.map(m => ({ index: m.index, target: m.target }))
+    }, timeout);
 
-    proc.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+    log('info', `Extracted ${report.bytes_written} bytes`);
 
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    return {
+      success: true,
+      archive: validated,
+      destination: dest,
+      format: fmt,
+      files_extracted: members.filter(m => m.type === 'file').length,
+      directories_created: report.directories_created,
+      bytes_written: report.bytes_written,
+      skipped: skipped,
+      backup_ids: backups
+    };
+  } catch (error) {
+    log('error', 'Extract archive error:', error);
+    throw error;
+  }
+}
 
-    proc.on('close', (code) => {
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
+/**
+ * Pack files and directories into a new archive. Each source is stored
+ * under its own name; deny-pattern files and symlinks are left out.
+ */
+async function createArchive(sources, destination, format = null, overwrite = false, createBackup = true, timeout = ARCHIVE_TIMEOUT_DEFAULT) {
+  try {
+    const sourceList = Array.isArray(sources) ? sources : [sources];
+    if (sourceList.length === 0) {
+      throw new Error('At least one source is required');
+    }
+    const dest = validatePath(destination, 'write');
+    const fmt = detectArchiveFormat(dest, format);
+    log('info', `Creating ${fmt} archive: ${dest}`);
 
-      if (killed) {
-        resolve({
-          success: false,
-          exit_code: -1,
-          stdout: stdout,
-          stderr: stderr,
-          duration_ms: duration,
-          error: `Command killed after timeout (${safeTimeout}ms)`,
-          working_directory: workDir
-        });
-      } else {
-        log('info', `PowerShell completed with exit code ${code} in ${duration}ms`);
-        resolve({
-          success: code === 0,
-          exit_code: code,
-          stdout: stdout,
-          stderr: stderr,
-          duration_ms: duration,
-          working_directory: workDir
-        });
+    const files = [];
+    const skipped = [];
+    const topLevel = new Set();
+    for (const source of sourceList) {
+      const validated = validatePath(source);
+      const stats = await fs.lstat(validated);
+      const base = path.basename(validated);
+      if (topLevel.has(base)) {
+        throw new Error(`Two sources would both be stored as "${base}"`);
       }
-    });
+      topLevel.add(base);
 
-    proc.on('error', (err) => {
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
-      log('error', 'PowerShell error:', err);
-      resolve({
-        success: false,
-        exit_code: -1,
-        stdout: stdout,
-        stderr: stderr,
-        duration_ms: duration,
-        error: err.message,
-        working_directory: workDir
-      });
-    });
+      const tree = stats.isDirectory()
+        ? [{ path: validated, type: 'directory', size: 0 }, ...await listTree(validated)]
+        : [{ path: validated, type: stats.isSymbolicLink() ? 'symlink' : 'file', size: stats.size }];
+      for (const entry of tree) {
+        if (entry.path === dest) {
+          continue;
+        }
+        if (entry.type === 'symlink' || findDenyPattern(entry.path)) {
+          skipped.push(entry.path);
+          continue;
+        }
+        const relative = toComparablePath(path.relative(validated, entry.path));
+        files.push({ ...entry, arcname: relative ? `${base}/${relative}` : base });
+      }
+    }
+
+    let backup = null;
+    if (fsSync.existsSync(dest)) {
+      if (!overwrite) {
+        throw new Error(`Destination exists: ${dest} (set overwrite to replace it)`);
+      }
+      if (createBackup) {
+        backup = await backupFile(dest);
+      }
+    }
+
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    const report = await runArchiveHelper({
+      op: 'create',
+      archive: dest,
+      format: fmt,
+      files: files.map(f => ({ path: f.path, arcname: f.arcname }))
+    }, timeout);
+
+    log('info', `Archive written: ${report.size} bytes`);
+
+    return {
+      success: true,
+      archive: dest,
+      format: fmt,
+      entries: files.length,
+      files: files.filter(f => f.type === 'file').length,
+      bytes_in: files.reduce((sum, f) => sum + f.size, 0),
+      size: report.size,
+      skipped: skipped,
+      backup_id: backup ? backup.id : null
+    };
+  } catch (error) {
+    log('error', 'Create archive error:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// BACKUP STORE - Central backups with a metadata index
+// ============================================================================
+
+let backupIndexQueue = Promise.resolve();
+
+function backupIndexPath() {
+  return path.join(BACKUP_DIR, 'index.json');
+}
+
+async function loadBackupIndex() {
+  try {
+    return JSON.parse(await fs.readFile(backupIndexPath(), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return { version: 1, backups: [] };
+    }
+    throw new Error(`Backup index is unreadable (${backupIndexPath()}): ${e.message}`);
+  }
+}
+
+async function saveBackupIndex(index) {
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+  const indexPath = backupIndexPath();
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(index, null, 2), 'utf8');
+  await fs.rename(tempPath, indexPath);
+}
+
+/**
+ * Run fn against the backup index, one caller at a time. The index is
+ * re-read on every call so several server processes can share a store.
+ */
+function withBackupIndex(fn, save = false) {
+  const run = backupIndexQueue.then(async () => {
+    const index = await loadBackupIndex();
+    const result = await fn(index);
+    if (save) {
+      await saveBackupIndex(index);
+    }
+    return result;
   });
+  backupIndexQueue = run.catch(() => {});
+  return run;
 }
 
 /**
- * Run a PowerShell script file
+ * Copy a file, or a whole directory tree, into the backup store and record
+ * it in the index. kind is 'backup' for overwrites and 'deleted' for deletions.
  */
-async function runPowerShellScript(scriptPath, args = [], timeout = POWERSHELL_TIMEOUT, cwd = null) {
-  const validated = validatePath(scriptPath);
+async function backupFile(filePath, kind = 'backup') {
+  const stats = await fs.stat(filePath);
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const backupPath = path.join(BACKUP_DIR, 'files', `${id}_${path.basename(filePath)}`);
 
-  // Check file exists
-  if (!fsSync.existsSync(validated)) {
-    throw new Error(`Script not found: ${validated}`);
+  await fs.mkdir(path.dirname(backupPath), { recursive: true });
+  let size = stats.size;
+  if (stats.isDirectory()) {
+    await fs.cp(filePath, backupPath, { recursive: true, verbatimSymlinks: true, preserveTimestamps: true });
+    size = (await listTree(filePath)).reduce((sum, entry) => sum + entry.size, 0);
+  } else {
+    await fs.copyFile(filePath, backupPath);
   }
 
-  // Set working directory
-  const workDir = cwd ? validatePath(cwd) : path.dirname(validated);
+  const entry = {
+    id: id,
+    kind: kind,
+    type: stats.isDirectory() ? 'directory' : 'file',
+    original_path: filePath,
+    backup_path: backupPath,
+    size: size,
+    created: new Date().toISOString()
+  };
+  await withBackupIndex(async (index) => {
+    index.backups.push(entry);
+  }, true);
 
-  // Validate timeout
-  const safeTimeout = Math.min(Math.max(timeout, 1000), POWERSHELL_MAX_TIMEOUT);
+  log('info', `Backup created: ${backupPath}`);
 
-  log('info', `Running PowerShell script: ${validated} (timeout: ${safeTimeout}ms)`);
+  if (BACKUP_MAX_AGE_DAYS > 0 || BACKUP_MAX_COUNT > 0 || BACKUP_MAX_TOTAL_MB > 0) {
+    const pruned = await pruneBackups({ protectId: id });
+    if (pruned.removed_count > 0) {
+      log('info', `Retention pruned ${pruned.removed_count} backups`);
+    }
+  }
 
-  return new Promise((resolve, reject) => {
-    const startTime = Date.now();
+  return entry;
+}
 
-    // Build command: & "script.ps1" arg1 arg2
-    const scriptCmd = args.length > 0
-      ? `& "${validated}" ${args.map(a => `"${a}"`).join(' ')}`
-      : `& "${validated}"`;
+function backupMatchesPath(entry, filterPath) {
+  return entry.original_path === filterPath || entry.original_path.startsWith(filterPath.replace(/[\\/]+$/, '') + path.sep);
+}
 
-    const psArgs = [
-      '-NoProfile',
-      '-NonInteractive',
-      '-ExecutionPolicy', 'Bypass',
-      '-File', validated,
-      ...args
-    ];
+async function listBackups(filterPath = null, limit = 100) {
+  try {
+    const validated = filterPath ? validatePath(filterPath) : null;
+    log('info', `Listing backups${validated ? ` for ${validated}` : ''}`);
 
-    const proc = spawn(POWERSHELL_PATH, psArgs, {
-      cwd: workDir,
-      env: process.env,
-      stdio: ['ignore', 'pipe', 'pipe'],
-      windowsHide: true
-    });
+    const entries = await withBackupIndex(async (index) => index.backups);
+    const matching = entries
+      .filter(entry => !validated || backupMatchesPath(entry, validated))
+      .sort((a, b) => b.created.localeCompare(a.created));
 
-    let stdout = '';
-    let stderr = '';
-    let killed = false;
+    return {
+      success: true,
+      backup_dir: BACKUP_DIR,
+      path: validated,
+      backups: matching.slice(0, limit).map(entry => ({
+        ...entry,
+        exists: fsSync.existsSync(entry.backup_path)
+      })),
+      count: matching.length,
+      total_size: matching.reduce((sum, entry) => sum + entry.size, 0),
+      truncated: matching.length > limit
+    };
+  } catch (error) {
+    log('error', 'List backups error:', error);
+    throw error;
+  }
+}
 
-    const timeoutId = setTimeout(() => {
-      killed = true;
-      proc.kill('SIGTERM');
-    }, safeTimeout);
+async function restoreBackup(id, targetPath = null, createBackup = true) {
+  try {
+    const entry = await withBackupIndex(async (index) => index.backups.find(b => b.id === id));
+    if (!entry) {
+      throw new Error(`Backup not found: ${id}`);
+    }
+    if (!fsSync.existsSync(entry.backup_path)) {
+      throw new Error(`Backup file is missing from the store: ${entry.backup_path}`);
+    }
 
-    proc.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+    const validated = validatePath(targetPath || entry.original_path, 'write');
+    log('info', `Restoring backup ${id} to ${validated}`);
 
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    // Keep whatever is there now, so a restore can itself be undone
+    let previous = null;
+    if (createBackup && fsSync.existsSync(validated)) {
+      previous = await backupFile(validated);
+    }
 
-    proc.on('close', (code) => {
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
+    await fs.mkdir(path.dirname(validated), { recursive: true });
+    if (entry.type === 'directory') {
+      await fs.rm(validated, { recursive: true, force: true });
+      await fs.cp(entry.backup_path, validated, { recursive: true, verbatimSymlinks: true, preserveTimestamps: true });
+    } else {
+      await fs.copyFile(entry.backup_path, validated);
+    }
+    const size = entry.type === 'directory' ? entry.size : (await fs.stat(validated)).size;
 
-      if (killed) {
-        resolve({
-          success: false,
-          exit_code: -1,
-          stdout: stdout,
-          stderr: stderr,
-          duration_ms: duration,
-          error: `Script killed after timeout (${safeTimeout}ms)`,
-          script_path: validated,
-          working_directory: workDir
-        });
-      } else {
-        log('info', `Script completed with exit code ${code} in ${duration}ms`);
-        resolve({
-          success: code === 0,
-          exit_code: code,
-          stdout: stdout,
-          stderr: stderr,
-          duration_ms: duration,
-          script_path: validated,
-          working_directory: workDir
-        });
-      }
-    });
+    log('info', `Restored ${size} bytes`);
 
-    proc.on('error', (err) => {
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
-      log('error', 'PowerShell script error:', err);
-      resolve({
-        success: false,
-        exit_code: -1,
-        stdout: stdout,
-        stderr: stderr,
-        duration_ms: duration,
-        error: err.message,
-        script_path: validated,
-        working_directory: workDir
-      });
-    });
-  });
+    return {
+      success: true,
+      id: id,
+      restored_to: validated,
+      original_path: entry.original_path,
+      size: size,
+      previous_backup_id: previous ? previous.id : null
+    };
+  } catch (error) {
+    log('error', 'Restore backup error:', error);
+    throw error;
+  }
 }
 
 /**
- * Get PowerShell and system information
+ * Apply retention rules to the store. Unset limits fall back to the
+ * BACKUP_MAX_* settings; 0 means unlimited. Index entries whose files
+ * have disappeared are always dropped.
  */
-async function getPowerShellInfo() {
-  const command = `
-$info = @{
-    PSVersion = $PSVersionTable.PSVersion.ToString()
-    PSEdition = $PSVersionTable.PSEdition
-    OS = [System.Environment]::OSVersion.VersionString
-    Platform = [System.Environment]::OSVersion.Platform.ToString()
-    MachineName = [System.Environment]::MachineName
-    UserName = [System.Environment]::UserName
-    SystemDirectory = [System.Environment]::SystemDirectory
-    ProcessorCount = [System.Environment]::ProcessorCount
-    Is64BitOS = [System.Environment]::Is64BitOperatingSystem
-    Is64BitProcess = [System.Environment]::Is64BitProcess
-    CurrentDirectory = Get-Location | Select-Object -ExpandProperty Path
-}
-$info | ConvertTo-Json
-`;
+async function pruneBackups(options = {}) {
+  try {
+    const maxAgeDays = options.maxAgeDays ?? BACKUP_MAX_AGE_DAYS;
+    const maxCount = options.maxCount ?? BACKUP_MAX_COUNT;
+    const maxTotalBytes = (options.maxTotalMb ?? BACKUP_MAX_TOTAL_MB) * 1024 * 1024;
+    const filterPath = options.path ? validatePath(options.path) : null;
+    const dryRun = options.dryRun === true;
 
-  const result = await runPowerShell(command, 10000);
+    return await withBackupIndex(async (index) => {
+      const now = Date.now();
+      const removed = [];
+      let kept = 0;
+      let keptBytes = 0;
 
-  if (result.success) {
-    try {
-      return JSON.parse(result.stdout.trim());
-    } catch (e) {
-      return { error: 'Failed to parse PowerShell info', raw: result.stdout };
-    }
-  } else {
-    return { error: result.stderr || result.error };
+      const candidates = index.backups
+        .filter(entry => !filterPath || backupMatchesPath(entry, filterPath))
+        .sort((a, b) => b.created.localeCompare(a.created));
+
+      for (const entry of candidates) {
+        let reason = null;
+        if (!fsSync.existsSync(entry.backup_path)) {
+          reason = 'missing';
+        } else if (entry.id !== options.protectId) {
+          if (maxAgeDays > 0 && now - Date.parse(entry.created) > maxAgeDays * 86400000) {
+            reason = 'age';
+          } else if (maxCount > 0 && kept >= maxCount) {
+            reason = 'count';
+          } else if (maxTotalBytes > 0 && keptBytes + entry.size > maxTotalBytes) {
+            reason = 'size';
+          }
+        }
+
+        if (reason) {
+          removed.push({ id: entry.id, original_path: entry.original_path, size: entry.size, reason: reason });
+        } else {
+          kept++;
+          keptBytes += entry.size;
+        }
+      }
+
+      if (!dryRun && removed.length > 0) {
+        const removedIds = new Set(removed.map(r => r.id));
+        for (const entry of index.backups.filter(b => removedIds.has(b.id))) {
+          await fs.rm(entry.backup_path, { recursive: true, force: true });
+        }
+        index.backups = index.backups.filter(b => !removedIds.has(b.id));
+        await saveBackupIndex(index);
+      }
+
+      log('info', `${dryRun ? 'Would prune' : 'Pruned'} ${removed.length} backups`);
+
+      return {
+        success: true,
+        dry_run: dryRun,
+        removed: removed,
+        removed_count: removed.length,
+        freed_bytes: removed.filter(r => r.reason !== 'missing').reduce((sum, r) => sum + r.size, 0),
+        remaining_count: kept,
+        remaining_bytes: keptBytes
+      };
+    });
+  } catch (error) {
+    log('error', 'Prune backups error:', error);
+    throw error;
   }
 }
 
-async function main() {
-  log('info', '='.repeat(70));
-  log('info', 'DARKSIDE MCP - "For those willing to trust"');
-  log('info', '='.repeat(70));
-  log('info', `Allowed drives: ${ALLOWED_DRIVES.join(', ')}`);
-  log('info', '');
+// ============================================================================
+// HASHING & COMPARISON - Checksums and diffs without spawning an interpreter
+// ============================================================================
 
-  const server = new Server(
-    {
-      name: "darkside-mcp",
-      version: "1.0.0",
-    },
-    {
-      capabilities: {
-        tools: {},
-      },
+const HASH_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+const COMPARE_LIST_LIMIT = 1000;
+
+function hashStream(filePath, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = createHash(algorithm);
+    fsSync.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Checksum a file, streamed so size doesn't matter
+ */
+async function hashFile(filePath, algorithm = 'sha256') {
+  try {
+    if (!HASH_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`algorithm must be one of ${HASH_ALGORITHMS.join(', ')}`);
     }
-  );
+    const validated = validatePath(filePath);
+    const stats = await fs.stat(validated);
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${validated}`);
+    }
+    log('info', `Hashing ${validated} (${algorithm})`);
 
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
-      tools: [
+      success: true,
+      path: validated,
+      algorithm: algorithm,
+      hash: await hashStream(validated, algorithm),
+      size: stats.size
+    };
+  } catch (error) {
+    log('error', 'Hash file error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Newest backup of a file: the backup store first, then the legacy
+ * `<file>.backup_<timestamp>` copies older versions left next to it.
+ */
+async function findLatestBackup(filePath) {
+  const stored = await withBackupIndex(async (index) => index.backups
+    .filter(entry => entry.original_path === filePath && entry.type !== 'directory' && fsSync.existsSync(entry.backup_path))
+    .sort((a, b) => b.created.localeCompare(a.created))[0]);
+  if (stored) {
+    return { id: stored.id, path: stored.backup_path, created: stored.created };
+  }
+
+  const prefix = `${path.basename(filePath)}.backup_`;
+  let legacy = null;
+  for (const name of await fs.readdir(path.dirname(filePath)).catch(() => [])) {
+    const stamp = name.startsWith(prefix) ? Number(name.slice(prefix.length)) : NaN;
+    if (Number.isInteger(stamp) && (!legacy || stamp > legacy.stamp)) {
+      legacy = { stamp: stamp, path: path.join(path.dirname(filePath), name) };
+    }
+  }
+  return legacy ? { id: null, path: validatePath(legacy.path), created: new Date(legacy.stamp).toISOString() } : null;
+}
+
+async function readForDiff(filePath) {
+  const stats = await fs.stat(filePath);
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${filePath}`);
+  }
+  if (stats.size > READ_MAX_BYTES) {
+    throw new Error(`File is ${stats.size} bytes, over the ${READ_MAX_BYTES} byte limit for a diff; use hash_file to compare it`);
+  }
+  const buffer = await fs.readFile(filePath);
+  return { buffer: buffer, binary: isBinaryBuffer(buffer.subarray(0, SNIFF_BYTES)) };
+}
+
+/**
+ * Unified diff between two text files. Without a second path, the file is
+ * compared against its most recent backup (old = backup, new = file).
+ * Binary files only report whether they are identical.
+ */
+async function diffFiles(filePath, otherPath = null, context = 3) {
+  try {
+    const validated = validatePath(filePath);
+    let oldPath;
+    let newPath;
+    let backup = null;
+    if (otherPath) {
+      oldPath = validated;
+      newPath = validatePath(otherPath);
+    } else {
+      backup = await findLatestBackup(validated);
+      if (!backup) {
+        throw new Error(`No backup found for ${validated}`);
+      }
+      oldPath = backup.path;
+      newPath = validated;
+    }
+    log('info', `Diffing ${oldPath} -> ${newPath}`);
+
+    const oldFile = await readForDiff(oldPath);
+    const newFile = await readForDiff(newPath);
+    const identical = oldFile.buffer.equals(newFile.buffer);
+    const binary = oldFile.binary || newFile.binary;
+
+    const summary = !binary && !identical ? summarizeLargeDiff(oldFile.buffer, newFile.buffer) : null;
+    let diff = null;
+    if (!binary && !identical && !summary) {
+      diff = createUnifiedDiff(oldFile.buffer.toString('utf8'), newFile.buffer.toString('utf8'), oldPath, newPath, context);
+    }
+    const lines = diff ? diff.split('\n') : [];
+
+    const result = {
+      success: true,
+      old_path: oldPath,
+      new_path: newPath,
+      backup: backup ? { id: backup.id, created: backup.created } : null,
+      identical: identical,
+      binary: binary,
+      diff: diff,
+      lines_added: lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length,
+      lines_removed: lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length
+    };
+    if (summary) {
+      result.too_large = true;
+      result.lines_added = null;
+      result.lines_removed = null;
+      result.old = summary.old;
+      result.new = summary.new;
+      result.message = `Over ${DIFF_MAX_LINES} lines; showing sizes and hashes instead of a diff`;
+    }
+    return result;
+  } catch (error) {
+    log('error', 'Diff files error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare two directory trees by relative path. Files whose sizes differ
+ * are changed without hashing; equal sizes are settled by hash. Symlinks
+ * are compared by target. Deny-pattern entries are ignored on both sides.
+ */
+async function compareDirectories(leftPath, rightPath, algorithm = 'sha256') {
+  try {
+    if (!HASH_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`algorithm must be one of ${HASH_ALGORITHMS.join(', ')}`);
+    }
+    const left = validatePath(leftPath);
+    const right = validatePath(rightPath);
+    log('info', `Comparing ${left} with ${right}`);
+
+    const index = async (root) => {
+      const entries = new Map();
+      for (const entry of await listTree(root)) {
+        if (entry.type !== 'directory' && !findDenyPattern(entry.path)) {
+          entries.set(toComparablePath(path.relative(root, entry.path)), entry);
+        }
+      }
+      return entries;
+    };
+    const leftEntries = await index(left);
+    const rightEntries = await index(right);
+
+    const added = [...rightEntries.keys()].filter(rel => !leftEntries.has(rel)).sort();
+    const removed = [...leftEntries.keys()].filter(rel => !rightEntries.has(rel)).sort();
+    const changed = [];
+    let unchanged = 0;
+
+    for (const rel of [...leftEntries.keys()].filter(r => rightEntries.has(r)).sort()) {
+      const a = leftEntries.get(rel);
+      const b = rightEntries.get(rel);
+      let reason = null;
+      if (a.type !== b.type) {
+        reason = 'type';
+      } else if (a.type === 'symlink') {
+        reason = (await fs.readlink(a.path)) === (await fs.readlink(b.path)) ? null : 'target';
+      } else if (a.size !== b.size) {
+        reason = 'size';
+      } else if ((await hashStream(a.path, algorithm)) !== (await hashStream(b.path, algorithm))) {
+        reason = 'content';
+      }
+      if (reason) {
+        changed.push({ path: rel, reason: reason, left_size: a.size, right_size: b.size });
+      } else {
+        unchanged++;
+      }
+    }
+
+    log('info', `${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+
+    return {
+      success: true,
+      left: left,
+      right: right,
+      identical: added.length === 0 && removed.length === 0 && changed.length === 0,
+      added: added.slice(0, COMPARE_LIST_LIMIT),
+      removed: removed.slice(0, COMPARE_LIST_LIMIT),
+      changed: changed.slice(0, COMPARE_LIST_LIMIT),
+      added_count: added.length,
+      removed_count: removed.length,
+      changed_count: changed.length,
+      unchanged_count: unchanged,
+      truncated: Math.max(added.length, removed.length, changed.length) > COMPARE_LIST_LIMIT
+    };
+  } catch (error) {
+    log('error', 'Compare directories error:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// PROGRESS - MCP progress notifications for long-running executions
+// ============================================================================
+
+const PROGRESS_INTERVAL_MS = 1000;
+const PROGRESS_TAIL_LINES = 5;
+const PROGRESS_MAX_MESSAGE = 1000;
+
+/**
+ * Scripts can report progress explicitly by printing a line such as
+ * "DARKSIDE_PROGRESS: 42" or "DARKSIDE_PROGRESS: 42% Loading data"
+ */
+const PROGRESS_MARKER = /^DARKSIDE_PROGRESS:\s*(\d+(?:\.\d+)?)%?(?:\s+(.*))?$/;
+
+/**
+ * Create a reporter that turns process output into notifications/progress
+ * for the current tool call. Returns null when the client didn't send a
+ * progress token. Notifications go out at most once per interval, carrying
+ * the latest output lines, or the script's own percentage when it reports one.
+ */
+function createProgressReporter(request, extra) {
+  const progressToken = request.params._meta ? request.params._meta.progressToken : undefined;
+  if (progressToken === undefined || !extra || !extra.sendNotification) {
+    return null;
+  }
+
+  const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+  const partial = { stdout: '', stderr: '' };
+  const tail = [];
+  let percent = null;
+  let markerMessage = null;
+  let lastProgress = 0;
+  let dirty = false;
+
+  function send() {
+    if (!dirty) {
+      return;
+    }
+    dirty = false;
+
+    // Progress must strictly increase between notifications
+    let progress = percent !== null ? Math.max(percent, lastProgress) : lastProgress + 1;
+    if (progress <= lastProgress) {
+      progress = Math.round((lastProgress + 0.001) * 1000) / 1000;
+    }
+    lastProgress = progress;
+
+    const lines = [...tail, ...['stdout', 'stderr'].map(stream => partial[stream]).filter(l => l.trim())];
+    let message = markerMessage || lines.slice(-PROGRESS_TAIL_LINES).join('\n');
+    markerMessage = null;
+    if (message.length > PROGRESS_MAX_MESSAGE) {
+      message = '...' + message.slice(-PROGRESS_MAX_MESSAGE);
+    }
+
+    const params = { progressToken: progressToken, progress: progress };
+    if (percent !== null) {
+      params.total = 100;
+    }
+    if (message) {
+      params.message = message;
+    }
+    extra.sendNotification({ method: 'notifications/progress', params: params })
+      .catch(err => log('warn', 'Progress notification failed:', err.message));
+  }
+
+  const timer = setInterval(send, PROGRESS_INTERVAL_MS);
+
+  return {
+    output(stream, data) {
+      const text = partial[stream] + decoders[stream].write(data);
+      const lines = text.split(/\r?\n/);
+      partial[stream] = lines.pop();
+      for (const line of lines) {
+        const marker = stream === 'stdout' ? line.match(PROGRESS_MARKER) : null;
+        if (marker) {
+          percent = Math.min(parseFloat(marker[1]), 100);
+          markerMessage = marker[2] || null;
+        } else if (line.trim()) {
+          tail.push(line);
+          if (tail.length > PROGRESS_TAIL_LINES) {
+            tail.shift();
+          }
+        }
+      }
+      dirty = true;
+    },
+    stop() {
+      clearInterval(timer);
+      send();
+    }
+  };
+}
+
+// ============================================================================
+// PROCESS CONTROL - Process groups, tree kill and resource limits
+// ============================================================================
+
+const PROCESS_KILL_GRACE = 5000;
+const PROCESS_LIMIT_KEYS = ['memory_mb', 'cpu_seconds', 'open_files', 'processes'];
+const liveProcessGroups = new Set();
+let limitLauncherProbe = { python: null, available: false };
+
+/**
+ * Run by the configured Python in front of the real command: sets the
+ * rlimits, then execs the command, so the limits cover it and everything
+ * it starts. The CPU hard limit sits a second above the soft one, which
+ * sends SIGXCPU first.
+ */
+const LIMIT_LAUNCHER = `
+import os, resource, sys
+
+RLIMITS = {
+    'memory_mb': (resource.RLIMIT_AS, 1024 * 1024),
+    'cpu_seconds': (resource.RLIMIT_CPU, 1),
+    'open_files': (resource.RLIMIT_NOFILE, 1),
+    'processes': (resource.RLIMIT_NPROC, 1),
+}
+
+for item in sys.argv[1].split(','):
+    name, value = item.split('=')
+    rlimit, scale = RLIMITS[name]
+    soft = int(value) * scale
+    hard = soft + 1 if name == 'cpu_seconds' else soft
+    _, current_hard = resource.getrlimit(rlimit)
+    if current_hard != resource.RLIM_INFINITY:
+        soft, hard = min(soft, current_hard), min(hard, current_hard)
+    resource.setrlimit(rlimit, (soft, hard))
+
+os.execvp(sys.argv[2], sys.argv[2:])
+`;
+
+// Tool argument shared by the run tools and start_job
+const PROCESS_LIMITS_SCHEMA = {
+  type: "object",
+  description: "Resource limits for this run (POSIX only, applied through the configured Python; can't exceed the configured PROCESS_MAX_* values)",
+  properties: {
+    memory_mb: { type: "integer", description: "Address space in MB" },
+    cpu_seconds: { type: "integer", description: "CPU time in seconds" },
+    open_files: { type: "integer", description: "Open file descriptors" },
+    processes: { type: "integer", description: "Processes for the user the server runs as" }
+  }
+};
+
+// What a process prints when it runs into each limit; apart from the CPU
+// limit's signal, there is no more direct way to tell
+const LIMIT_SYMPTOMS = {
+  memory_mb: /MemoryError|out of memory|Cannot allocate memory|bad_alloc|OutOfMemoryException/i,
+  open_files: /Too many open files|EMFILE/,
+  processes: /Resource temporarily unavailable|Cannot fork|fork: retry/i
+};
+
+/**
+ * Limits for one run: the caller's values, but never looser than the
+ * configured PROCESS_MAX_* ceilings. 0 or missing means no limit.
+ */
+function resolveProcessLimits(requested = {}) {
+  const limits = {};
+  for (const key of PROCESS_LIMIT_KEYS) {
+    let value = (requested || {})[key];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`limits.${key} must be a non-negative integer`);
+    }
+    const ceiling = PROCESS_LIMITS[key];
+    if (ceiling > 0 && (!value || value > ceiling)) {
+      value = ceiling;
+    }
+    if (value > 0) {
+      limits[key] = value;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Whether limits can be applied: the launcher needs the configured Python
+ * and its resource module. Checked once per PYTHON_PATH.
+ */
+function canApplyLimits() {
+  if (IS_WINDOWS) {
+    return false;
+  }
+  if (limitLauncherProbe.python !== PYTHON_PATH) {
+    const probe = spawnSync(PYTHON_PATH, ['-c', 'import resource'], { stdio: 'ignore', timeout: 15000 });
+    limitLauncherProbe = { python: PYTHON_PATH, available: probe.status === 0 };
+    if (!limitLauncherProbe.available) {
+      log('warn', `${PYTHON_PATH} can't run the limit launcher; runs with limits will go unlimited`);
+    }
+  }
+  return limitLauncherProbe.available;
+}
+
+/**
+ * Spawn a child as the leader of its own process group (POSIX), behind the
+ * limit launcher when there are limits. Windows gets a plain spawn; its
+ * trees are killed with taskkill and limits aren't applied there. Neither
+ * are they without a usable Python for the launcher.
+ */
+function spawnProcessGroup(command, args, options, limits = {}) {
+  let argv = [command, ...args];
+  if (Object.keys(limits).length > 0 && canApplyLimits()) {
+    const spec = Object.entries(limits).map(([key, value]) => `${key}=${value}`).join(',');
+    argv = [PYTHON_PATH, '-c', LIMIT_LAUNCHER, spec, ...argv];
+  }
+
+  const proc = spawn(argv[0], argv.slice(1), { ...options, detached: !IS_WINDOWS });
+  if (proc.pid && !IS_WINDOWS) {
+    const pgid = proc.pid;
+    liveProcessGroups.add(pgid);
+    proc.once('close', () => liveProcessGroups.delete(pgid));
+  }
+  return proc;
+}
+
+function signalProcessTree(proc, signal) {
+  if (!proc.pid) {
+    return;
+  }
+  if (IS_WINDOWS) {
+    spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F'], { stdio: 'ignore', windowsHide: true })
+      .on('error', () => proc.kill());
+    return;
+  }
+  try {
+    process.kill(-proc.pid, signal);
+  } catch (e) {
+    if (e.code !== 'ESRCH') {
+      log('warn', `Could not signal process group ${proc.pid}:`, e.message);
+    }
+  }
+}
+
+const STDIN_ENCODINGS = ['utf8', 'base64'];
+
+/**
+ * Decode a run's stdin argument. null means no input, and the child's
+ * stdin stays 'ignore'.
+ */
+function decodeStdinInput(stdin, encoding = 'utf8') {
+  if (stdin === undefined || stdin === null) {
+    return null;
+  }
+  if (typeof stdin !== 'string') {
+    throw new Error('stdin must be a string');
+  }
+  if (!STDIN_ENCODINGS.includes(encoding)) {
+    throw new Error(`stdin_encoding must be one of ${STDIN_ENCODINGS.join(', ')}`);
+  }
+  if (encoding === 'base64' && !/^[A-Za-z0-9+/]*={0,2}$/.test(stdin.replace(/\s+/g, ''))) {
+    throw new Error('stdin is not valid base64');
+  }
+  return Buffer.from(stdin, encoding);
+}
+
+/**
+ * Write input to the child's own stdin pipe and close it. A child that
+ * exits without reading it all makes the write fail with EPIPE, which is
+ * the child's business, not an error of the run.
+ */
+function feedStdin(proc, input) {
+  if (!input || !proc.stdin) {
+    return;
+  }
+  proc.stdin.on('error', (err) => {
+    if (err.code !== 'EPIPE') {
+      log('warn', 'Writing stdin failed:', err.message);
+    }
+  });
+  proc.stdin.end(input);
+}
+
+/**
+ * SIGTERM the whole tree, then SIGKILL whatever is left after the grace
+ * period. The SIGKILL goes out even if the leader already exited, since
+ * grandchildren can outlive it.
+ */
+function terminateProcessTree(proc, grace = PROCESS_KILL_GRACE) {
+  signalProcessTree(proc, 'SIGTERM');
+  if (!IS_WINDOWS) {
+    setTimeout(() => signalProcessTree(proc, 'SIGKILL'), grace).unref();
+  }
+}
+
+/**
+ * Children don't share our process group, so they won't go down with the
+ * server by themselves
+ */
+function killAllProcessGroups() {
+  for (const pgid of liveProcessGroups) {
+    try {
+      process.kill(-pgid, 'SIGKILL');
+    } catch (e) {}
+  }
+}
+
+/**
+ * Fields describing the limits of a finished run, for merging into its
+ * result. limit_exceeded is a best guess from the exit signal and stderr;
+ * nothing is guessed when the server killed the run itself. A bare SIGKILL
+ * isn't blamed on the CPU limit either, since the OOM killer or someone's
+ * kill -9 look the same.
+ */
+function describeLimitOutcome(limits, signal, stderr, killedByServer) {
+  if (Object.keys(limits).length === 0) {
+    return {};
+  }
+  if (IS_WINDOWS) {
+    return { limits_warning: 'Resource limits are not supported on Windows; the run was not limited' };
+  }
+  if (!canApplyLimits()) {
+    return { limits_warning: `Resource limits are applied through Python and ${PYTHON_PATH} could not be run; the run was not limited` };
+  }
+
+  let exceeded = null;
+  if (!killedByServer) {
+    if (limits.cpu_seconds && signal === 'SIGXCPU') {
+      exceeded = 'cpu_seconds';
+    } else {
+      exceeded = Object.keys(LIMIT_SYMPTOMS).find(key => limits[key] && LIMIT_SYMPTOMS[key].test(stderr || '')) || null;
+    }
+  }
+
+  return {
+    limits: limits,
+    limit_exceeded: exceeded,
+    ...(exceeded ? { error: `Resource limit exceeded: ${exceeded} (${limits[exceeded]})` } : {})
+  };
+}
+
+// ============================================================================
+// OUTPUT CAPTURE - Capped process output, with the overflow spilled to disk
+// ============================================================================
+
+const SPILL_ID_PATTERN = /^out-[a-z0-9]+-[a-z0-9]+$/;
+const OUTPUT_STREAMS = ['stdout', 'stderr'];
+
+/**
+ * Remove spill files older than SPILL_MAX_AGE_HOURS (0 = keep forever)
+ */
+function pruneSpillFiles() {
+  if (SPILL_MAX_AGE_HOURS <= 0) {
+    return;
+  }
+  const cutoff = Date.now() - SPILL_MAX_AGE_HOURS * 3600000;
+  try {
+    for (const name of fsSync.readdirSync(SPILL_DIR)) {
+      const file = path.join(SPILL_DIR, name);
+      if (fsSync.statSync(file).mtimeMs < cutoff) {
+        fsSync.rmSync(file, { force: true });
+      }
+    }
+  } catch (e) {
+    log('debug', 'Spill prune skipped:', e.message);
+  }
+}
+
+/**
+ * Collect a process's stdout and stderr as raw bytes, decoding only at the
+ * end so multi-byte characters split across chunks come out intact. Each
+ * stream keeps up to OUTPUT_MAX_BYTES; past that the whole stream goes to a
+ * spill file and the result carries just its head and tail.
+ */
+function createOutputCapture() {
+  const id = `out-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const limit = OUTPUT_MAX_BYTES;
+  const headSize = Math.floor(limit / 2);
+  const tailSize = limit - headSize;
+  const streams = {};
+  for (const name of OUTPUT_STREAMS) {
+    streams[name] = { chunks: [], size: 0, overflow: false, head: null, tail: [], tailBytes: 0, fd: null };
+  }
+  let finished = null;
+
+  function overflow(name, stream) {
+    const all = Buffer.concat(stream.chunks);
+    stream.overflow = true;
+    stream.chunks = null;
+    stream.head = all.subarray(0, headSize);
+    stream.tail = [all.subarray(headSize)];
+    stream.tailBytes = all.length - headSize;
+    try {
+      fsSync.mkdirSync(SPILL_DIR, { recursive: true });
+      pruneSpillFiles();
+      stream.fd = fsSync.openSync(path.join(SPILL_DIR, `${id}.${name}.log`), 'w');
+      fsSync.writeSync(stream.fd, all);
+    } catch (e) {
+      // Still truncate; the full output just can't be paged later
+      log('warn', `Could not write spill file for ${id}:`, e.message);
+      stream.fd = null;
+    }
+  }
+
+  return {
+    write(name, data) {
+      const stream = streams[name];
+      stream.size += data.length;
+      if (!stream.overflow) {
+        stream.chunks.push(data);
+        if (stream.size > limit) {
+          overflow(name, stream);
+        }
+        return;
+      }
+      if (stream.fd !== null) {
+        fsSync.writeSync(stream.fd, data);
+      }
+      stream.tail.push(data);
+      stream.tailBytes += data.length;
+      while (stream.tailBytes - stream.tail[0].length >= tailSize) {
+        stream.tailBytes -= stream.tail.shift().length;
+      }
+    },
+
+    /**
+     * Decode and return { stdout, stderr, truncated } plus, for truncated
+     * streams, their full byte counts and the spill_id to page them with.
+     * Safe to call more than once.
+     */
+    finish() {
+      if (finished) {
+        return finished;
+      }
+      finished = { stdout: '', stderr: '', truncated: false };
+      let spilled = false;
+
+      for (const name of OUTPUT_STREAMS) {
+        const stream = streams[name];
+        if (!stream.overflow) {
+          finished[name] = Buffer.concat(stream.chunks).toString('utf8');
+          continue;
+        }
+        if (stream.fd !== null) {
+          fsSync.closeSync(stream.fd);
+          spilled = true;
+        }
+
+        const head = stream.head.subarray(0, utf8CompleteLength(stream.head));
+        let tail = Buffer.concat(stream.tail);
+        tail = tail.subarray(tail.length - tailSize);
+        let skip = 0;
+        while (skip < Math.min(3, tail.length) && (tail[skip] & 0xC0) === 0x80) {
+          skip++;
+        }
+        tail = tail.subarray(skip);
+
+        const omitted = stream.size - head.length - tail.length;
+        const hint = stream.fd !== null ? `; page through the full output with read_output spill_id "${id}"` : '';
+        finished[name] = `${head.toString('utf8')}\n... [${omitted} bytes truncated${hint}] ...\n${tail.toString('utf8')}`;
+        finished[`${name}_bytes`] = stream.size;
+        finished.truncated = true;
+      }
+
+      if (spilled) {
+        finished.spill_id = id;
+      }
+      return finished;
+    }
+  };
+}
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+/**
+ * Structured results (output_format: "json") travel through a side file
+ * instead of stdout, so prints and the output cap can't corrupt them. The
+ * runner writes an envelope, {"value": ...} or {"error": "..."}.
+ */
+function structuredResultPath(outputFormat) {
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`output_format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (outputFormat !== 'json') {
+    return null;
+  }
+  return path.join(os.tmpdir(), `darkside_result_${Date.now()}_${Math.random().toString(36).slice(2)}.json`);
+}
+
+/**
+ * Read and remove a result envelope. Returns the fields to merge into the
+ * run result: `result`, plus `result_error` whenever there is no value.
+ */
+async function readStructuredResult(resultFile) {
+  let text;
+  try {
+    text = await fs.readFile(resultFile, 'utf8');
+  } catch (e) {
+    return { result: null, result_error: 'No result was written: the run ended before producing one' };
+  } finally {
+    await fs.rm(resultFile, { force: true });
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (e) {
+    return { result: null, result_error: `Could not parse result as JSON: ${e.message}` };
+  }
+  if (envelope.error) {
+    return { result: null, result_error: envelope.error };
+  }
+  return { result: envelope.value ?? null };
+}
+
+/**
+ * Page through a spilled stream by byte offset
+ */
+async function readOutput(spillId, stream = 'stdout', offset = 0, maxBytes = OUTPUT_MAX_BYTES) {
+  if (!SPILL_ID_PATTERN.test(spillId || '')) {
+    throw new Error(`Invalid spill id: ${spillId}`);
+  }
+  if (!OUTPUT_STREAMS.includes(stream)) {
+    throw new Error(`stream must be 'stdout' or 'stderr'`);
+  }
+
+  const filePath = path.join(SPILL_DIR, `${spillId}.${stream}.log`);
+  let total;
+  try {
+    total = (await fs.stat(filePath)).size;
+  } catch (e) {
+    throw new Error(`No spilled ${stream} for ${spillId} (it may have expired)`);
+  }
+
+  let start = Math.min(Math.max(offset, 0), total);
+  // An offset inside a character moves back to where that character starts
+  if (start > 0 && start < total) {
+    const windowStart = Math.max(0, start - 3);
+    const window = await readFileRange(filePath, windowStart, start - windowStart + 1);
+    let index = start - windowStart;
+    while (index > 0 && (window[index] & 0xC0) === 0x80) {
+      index--;
+    }
+    start = windowStart + index;
+  }
+  const length = Math.min(Math.max(1, Math.min(maxBytes, READ_MAX_BYTES)), total - start);
+  const buffer = length > 0 ? await readFileRange(filePath, start, length) : Buffer.alloc(0);
+  const complete = utf8CompleteLength(buffer);
+  const nextOffset = start + complete;
+
+  return {
+    success: true,
+    spill_id: spillId,
+    stream: stream,
+    offset: start,
+    content: buffer.subarray(0, complete).toString('utf8'),
+    next_offset: nextOffset,
+    total_bytes: total,
+    eof: nextOffset >= total
+  };
+}
+
+// ============================================================================
+// PYTHON EXECUTION - Direct Python Access
+// ============================================================================
+
+/**
+ * Default safety policy for Python code. Keys are fnmatch patterns over
+ * fully-qualified names as the analyzer resolves them (import aliases
+ * followed, builtins as "builtins.x", unknown receivers as "?"); values are
+ * 'allow', 'warn' or 'deny'. The most specific matching pattern wins.
+ * Configured rules are merged over these.
+ */
+const DEFAULT_PYTHON_SAFETY_RULES = {
+  'os.system': 'deny',
+  'os.popen': 'deny',
+  'os.exec*': 'deny',
+  'os.spawn*': 'deny',
+  'os.posix_spawn*': 'deny',
+  'os.remove': 'deny',
+  'os.unlink': 'deny',
+  'os.rmdir': 'deny',
+  'os.removedirs': 'deny',
+  'shutil.rmtree': 'deny',
+  'subprocess': 'warn',
+  'subprocess.*': 'deny',
+  'pty.spawn': 'deny',
+  'builtins.eval': 'deny',
+  'builtins.exec': 'deny',
+  'builtins.__import__': 'deny',
+  'builtins.compile': 'warn',
+  'builtins.open:write': 'deny',
+  'builtins.getattr:dynamic': 'warn',
+  'builtins.globals': 'deny',
+  'builtins.locals': 'deny',
+  'importlib.import_module': 'warn',
+  'importlib.import_module:dynamic': 'deny',
+  'importlib.__import__': 'deny',
+  'ctypes': 'warn',
+  '*.__subclasses__': 'deny',
+  '*.__globals__': 'deny',
+  '*.__builtins__': 'deny',
+  '*.__dict__': 'deny'
+};
+
+/**
+ * Analyzer run by the configured interpreter, so the code is parsed by the
+ * same Python that would execute it. Receives the code and rules as a
+ * base64 JSON payload and prints its findings as JSON.
+ */
+const PYTHON_SAFETY_ANALYZER = `
+import ast, base64, builtins, fnmatch, json
+
+payload = json.loads(base64.b64decode('%PAYLOAD%').decode('utf-8'))
+RULES = payload['rules']
+BUILTIN_NAMES = set(dir(builtins)) | {'__builtins__'}
+OPEN_FUNCTIONS = {'builtins.open', 'io.open', 'codecs.open'}
+IMPORT_FUNCTIONS = {'importlib.import_module', 'builtins.__import__'}
+
+def level_for(name):
+    best, best_score = None, -1
+    for pattern, level in RULES.items():
+        if fnmatch.fnmatchcase(name, pattern):
+            score = len(pattern.replace('*', ''))
+            if score > best_score:
+                best, best_score = level, score
+    return best
+
+def has_deny_rules(module):
+    prefix = module + '.'
+    if level_for(prefix + '*') == 'deny':
+        return True
+    return any(level == 'deny' and (pattern == module or pattern.startswith(prefix)) for pattern, level in RULES.items())
+
+class Analyzer(ast.NodeVisitor):
+    def __init__(self):
+        self.aliases = {}
+        self.modules = set()
+        self.locals = set()
+        self.findings = []
+        self.seen = set()
+        self.tracked = set()
+
+    def report(self, node, name, kind, level=None):
+        level = level or level_for(name)
+        key = (node.lineno, name)
+        if level in ('warn', 'deny') and key not in self.seen:
+            self.seen.add(key)
+            self.findings.append({'line': node.lineno, 'column': node.col_offset, 'name': name, 'kind': kind, 'level': level})
+
+    def qualify(self, node):
+        if isinstance(node, ast.Name):
+            if node.id in self.aliases:
+                return self.aliases[node.id]
+            if node.id in self.locals:
+                return None
+            if node.id in BUILTIN_NAMES:
+                return 'builtins.' + node.id
+            return None
+        if isinstance(node, ast.Attribute):
+            return '%s.%s' % (self.qualify(node.value) or '?', node.attr)
+        if isinstance(node, ast.Call):
+            return self.imported_module(node)
+        return None
+
+    def imported_module(self, node):
+        # importlib.import_module('os') is the os module, so the os.* rules
+        # apply to whatever is done with it
+        if self.qualify(node.func) not in IMPORT_FUNCTIONS or not node.args:
+            return None
+        name = node.args[0]
+        if isinstance(name, ast.Constant) and isinstance(name.value, str) and not name.value.startswith('.'):
+            return name.value
+        return None
+
+    def bind(self, name, qualified=None):
+        self.modules.discard(name)
+        if qualified:
+            self.aliases[name] = qualified
+            self.locals.discard(name)
+        else:
+            self.aliases.pop(name, None)
+            self.locals.add(name)
+
+    def check_escape(self, node, qualified):
+        # A module with deny rules is only followed through attributes and
+        # plain assignments; once it goes into a list, an argument or any
+        # other value the aliases can't track, it is denied outright
+        if id(node) not in self.tracked and has_deny_rules(qualified):
+            self.report(node, qualified, 'module value', 'deny')
+
+    def visit_Import(self, node):
+        for alias in node.names:
+            local = alias.asname or alias.name.split('.')[0]
+            self.bind(local, alias.name if alias.asname else local)
+            self.modules.add(local)
+            self.report(node, alias.name, 'import')
+
+    def visit_ImportFrom(self, node):
+        if node.level or not node.module:
+            return
+        self.report(node, node.module, 'import')
+        for alias in node.names:
+            if alias.name == '*':
+                # The names it binds are unknown, so nothing in them can be
+                # checked
+                if has_deny_rules(node.module):
+                    self.report(node, node.module + '.*', 'import', 'deny')
+                continue
+            qualified = node.module + '.' + alias.name
+            self.bind(alias.asname or alias.name, qualified)
+            self.report(node, qualified, 'import')
+
+    def unpacks(self, target, value):
+        return (isinstance(target, (ast.Tuple, ast.List)) and isinstance(value, (ast.Tuple, ast.List))
+                and len(target.elts) == len(value.elts)
+                and not any(isinstance(e, ast.Starred) for e in target.elts + value.elts))
+
+    def mark_bound(self, target, value):
+        if isinstance(target, ast.Name):
+            self.tracked.add(id(value))
+        elif self.unpacks(target, value):
+            for t, v in zip(target.elts, value.elts):
+                self.mark_bound(t, v)
+
+    def assign(self, target, value):
+        if isinstance(target, ast.Name):
+            self.bind(target.id, self.qualify(value) if value is not None else None)
+        elif isinstance(target, (ast.Tuple, ast.List)):
+            values = value.elts if self.unpacks(target, value) else [None] * len(target.elts)
+            for t, v in zip(target.elts, values):
+                self.assign(t, v)
+        elif isinstance(target, ast.Starred):
+            self.assign(target.value, None)
+        else:
+            self.visit(target)
+
+    def visit_Assign(self, node):
+        if len(node.targets) == 1:
+            self.mark_bound(node.targets[0], node.value)
+        self.visit(node.value)
+        for target in node.targets:
+            self.assign(target, node.value)
+
+    def visit_FunctionDef(self, node):
+        self.bind(node.name)
+        self.generic_visit(node)
+
+    visit_AsyncFunctionDef = visit_FunctionDef
+
+    def visit_ClassDef(self, node):
+        self.bind(node.name)
+        self.generic_visit(node)
+
+    def visit_Name(self, node):
+        if isinstance(node.ctx, ast.Load):
+            qualified = self.qualify(node)
+            if qualified:
+                if node.id not in self.modules:
+                    self.report(node, qualified, 'reference')
+                self.check_escape(node, qualified)
+
+    def visit_Attribute(self, node):
+        self.report(node, self.qualify(node), 'attribute')
+        self.tracked.add(id(node.value))
+        self.visit(node.value)
+
+    def visit_Call(self, node):
+        func = self.qualify(node.func)
+        if func in OPEN_FUNCTIONS:
+            mode = node.args[1] if len(node.args) > 1 else next((k.value for k in node.keywords if k.arg == 'mode'), None)
+            if isinstance(mode, ast.Constant) and isinstance(mode.value, str) and set(mode.value) & set('wax+'):
+                self.report(node, 'builtins.open:write', 'call')
+        elif func == 'builtins.getattr' and len(node.args) >= 2:
+            attr = node.args[1]
+            target = self.qualify(node.args[0])
+            self.tracked.add(id(node.args[0]))
+            if isinstance(attr, ast.Constant) and isinstance(attr.value, str):
+                self.report(node, '%s.%s' % (target or '?', attr.value), 'attribute')
+            elif target and has_deny_rules(target):
+                self.report(node, 'builtins.getattr:dynamic', 'call', 'deny')
+            else:
+                self.report(node, 'builtins.getattr:dynamic', 'call')
+        elif func == 'builtins.vars':
+            # vars(x) is x.__dict__, and without an argument the locals
+            if node.args:
+                self.tracked.add(id(node.args[0]))
+                self.report(node, '%s.__dict__' % (self.qualify(node.args[0]) or '?'), 'attribute')
+            else:
+                self.report(node, 'builtins.locals', 'call')
+        elif func in IMPORT_FUNCTIONS:
+            module = self.imported_module(node)
+            if module:
+                self.report(node, module, 'import')
+                self.check_escape(node, module)
+            else:
+                self.report(node, func + ':dynamic', 'call')
+        self.generic_visit(node)
+
+try:
+    tree = ast.parse(payload['code'])
+except SyntaxError as e:
+    print(json.dumps({'findings': [], 'syntax_error': '%s (line %s)' % (e.msg, e.lineno)}))
+else:
+    analyzer = Analyzer()
+    analyzer.visit(tree)
+    print(json.dumps({'findings': analyzer.findings, 'syntax_error': None}))
+`;
+
+/**
+ * Analyze Python code against the safety policy. Fails closed: if the
+ * analyzer itself can't run, the code is treated as unsafe. Code that
+ * doesn't parse passes, since the interpreter will reject it anyway.
+ */
+async function checkPythonCodeSafety(code) {
+  if (!PYTHON_SAFETY_ENABLED) {
+    return { safe: true, findings: [] };
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    code: code,
+    rules: { ...DEFAULT_PYTHON_SAFETY_RULES, ...PYTHON_SAFETY_RULES }
+  })).toString('base64');
+
+  const tempDir = os.tmpdir();
+  const tempFile = path.join(tempDir, `darkside_safety_${Date.now()}_${Math.random().toString(36).slice(2)}.py`);
+
+  try {
+    await fs.writeFile(tempFile, PYTHON_SAFETY_ANALYZER.replace('%PAYLOAD%', payload), 'utf8');
+    const result = await spawnPython(tempFile, [], tempDir, 15000);
+
+    let report;
+    try {
+      report = JSON.parse(result.stdout.trim());
+    } catch (e) {
+      return { safe: false, reason: `Safety analysis failed: ${result.error || result.stderr || 'no output from analyzer'}`, findings: [] };
+    }
+
+    const denied = report.findings.filter(f => f.level === 'deny');
+    return {
+      safe: denied.length === 0,
+      reason: denied.map(f => `line ${f.line}: ${f.name} (${f.kind}) is denied`).join('; '),
+      findings: report.findings
+    };
+  } finally {
+    try {
+      await fs.unlink(tempFile);
+    } catch (e) {}
+  }
+}
+
+/**
+ * Run the safety check and throw if anything is denied. Returns the
+ * remaining (warn-level) findings for the caller to report.
+ */
+async function enforcePythonSafety(code) {
+  const safetyCheck = await checkPythonCodeSafety(code);
+  if (!safetyCheck.safe) {
+    throw new Error(`Security check failed: ${safetyCheck.reason}`);
+  }
+  return safetyCheck.findings;
+}
+
+/**
+ * Run a Python script file with arguments
+ * CRITICAL: stdin is 'ignore' or a private pipe, never MCP's own stdin
+ */
+async function runPythonScript(scriptPath, args = [], cwd = null, timeout = PYTHON_TIMEOUT, env = {}, progress = null, python = null, limits = {}, input = null) {
+  const validated = validatePath(scriptPath, 'execute');
+
+  // Check file exists
+  if (!fsSync.existsSync(validated)) {
+    throw new Error(`Script not found: ${validated}`);
+  }
+
+  // Set working directory
+  const workDir = cwd ? validatePath(cwd, 'execute') : path.dirname(validated);
+
+  const safetyWarnings = PYTHON_SAFETY_CHECK_SCRIPTS
+    ? await enforcePythonSafety(await fs.readFile(validated, 'utf8'))
+    : [];
+
+  const result = await spawnPython(validated, args, workDir, timeout, env, progress, python, resolveProcessLimits(limits), input);
+  if (safetyWarnings.length > 0) {
+    result.safety_warnings = safetyWarnings;
+  }
+  return result;
+}
+
+/**
+ * Spawn the interpreter on an already-validated script. Also used directly
+ * for the server's own temp files, which live outside the allowed roots.
+ * `python` is a resolved interpreter from resolvePythonInterpreter(), or
+ * null for the configured PYTHON_PATH.
+ */
+async function spawnPython(validated, args, workDir, timeout = PYTHON_TIMEOUT, env = {}, progress = null, python = null, limits = {}, input = null) {
+  log('info', `Running Python script: ${validated}`);
+  const result = await spawnInterpreter([validated, ...args], workDir, timeout, env, progress, python, limits, input);
+  return { ...result, script_path: validated, working_directory: workDir };
+}
+
+/**
+ * Run the interpreter with raw arguments (`-m venv`, `-m pip`, a script).
+ * Never rejects: spawn failures and timeouts come back as unsuccessful results.
+ */
+async function spawnInterpreter(argv, workDir, timeout = PYTHON_TIMEOUT, env = {}, progress = null, python = null, limits = {}, input = null) {
+  // Validate timeout
+  const safeTimeout = Math.min(Math.max(timeout, 1000), PYTHON_MAX_TIMEOUT);
+  const interpreter = python ? python.path : PYTHON_PATH;
+
+  log('debug', `Spawning ${interpreter} ${argv.join(' ')} (timeout: ${safeTimeout}ms)`);
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+
+    // Merge environment
+    const procEnv = {
+      ...process.env,
+      PYTHONUNBUFFERED: '1',
+      PYTHONDONTWRITEBYTECODE: '1',
+      ...(python ? python.env : {}),
+      ...env
+    };
+
+    // CRITICAL: stdio configuration for MCP safety
+    // stdin is 'ignore' or a fresh pipe for the caller's input; inheriting
+    // would hand the script MCP's JSON-RPC transport
+    const proc = spawnProcessGroup(interpreter, argv, {
+      cwd: workDir,
+      env: procEnv,
+      stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      windowsHide: true
+    }, limits);
+    feedStdin(proc, input);
+
+    const output = createOutputCapture();
+    let killed = false;
+
+    // Timeout handler: the script and anything it started
+    const timeoutId = setTimeout(() => {
+      killed = true;
+      terminateProcessTree(proc);
+    }, safeTimeout);
+
+    proc.stdout.on('data', (data) => {
+      output.write('stdout', data);
+      if (progress) progress.output('stdout', data);
+    });
+
+    proc.stderr.on('data', (data) => {
+      output.write('stderr', data);
+      if (progress) progress.output('stderr', data);
+    });
+
+    proc.on('close', (code, signal) => {
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      const captured = output.finish();
+      const limitOutcome = describeLimitOutcome(limits, signal, captured.stderr, killed);
+
+      if (killed) {
+        resolve({
+          success: false,
+          exit_code: -1,
+          ...captured,
+          duration_ms: duration,
+          error: `Script killed after timeout (${safeTimeout}ms)`,
+          interpreter: interpreter,
+          ...limitOutcome
+        });
+      } else {
+        log('info', `Script completed with exit code ${code} in ${duration}ms`);
+        resolve({
+          success: code === 0,
+          exit_code: code,
+          ...captured,
+          duration_ms: duration,
+          interpreter: interpreter,
+          ...limitOutcome
+        });
+      }
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      log('error', 'Python script error:', err);
+      resolve({
+        success: false,
+        exit_code: -1,
+        ...output.finish(),
+        duration_ms: duration,
+        error: err.message,
+        interpreter: interpreter
+      });
+    });
+  });
+}
+
+/**
+ * Appended to the code for output_format "json". Runs only if the code gets
+ * to the end, and reports the top-level `result` variable. Appending keeps
+ * traceback line numbers pointing at the caller's code.
+ */
+const PYTHON_RESULT_FOOTER = `
+
+
+def _darkside_write_result():
+    import json
+    try:
+        envelope = {'value': globals()['result']}
+    except KeyError:
+        envelope = {'error': "The code did not assign a 'result' variable"}
+    try:
+        text = json.dumps(envelope, default=str, allow_nan=False)
+    except (TypeError, ValueError) as e:
+        text = json.dumps({'error': 'result is not JSON serializable: %s' % e})
+    with open(%RESULT_PATH%, 'w', encoding='utf-8') as f:
+        f.write(text)
+
+
+_darkside_write_result()
+`;
+
+/**
+ * Run inline Python code
+ * Creates temp file, executes, cleans up
+ */
+async function runPythonCode(code, timeout = PYTHON_TIMEOUT, cwd = null, env = {}, progress = null, python = null, outputFormat = 'text', limits = {}, input = null) {
+  if (!code || !code.trim()) {
+    throw new Error('Code cannot be empty');
+  }
+
+  // Security check
+  const safetyWarnings = await enforcePythonSafety(code);
+
+  // Create temp file
+  const tempDir = os.tmpdir();
+  const workDir = cwd ? validatePath(cwd, 'execute') : tempDir;
+  const tempFile = path.join(tempDir, `darkside_python_${Date.now()}_${Math.random().toString(36).slice(2)}.py`);
+  const resultFile = structuredResultPath(outputFormat);
+
+  log('info', `Running Python code snippet (${code.length} chars)`);
+
+  try {
+    // Write code to temp file
+    const footer = resultFile ? PYTHON_RESULT_FOOTER.replace('%RESULT_PATH%', JSON.stringify(resultFile)) : '';
+    await fs.writeFile(tempFile, code + footer, 'utf8');
+
+    // Execute
+    const result = await spawnPython(tempFile, [], workDir, timeout, env, progress, python, resolveProcessLimits(limits), input);
+    if (resultFile) {
+      Object.assign(result, await readStructuredResult(resultFile));
+    }
+
+    // Add code preview to result
+    result.code_preview = code.length > 200 ? code.slice(0, 200) + '...' : code;
+    if (safetyWarnings.length > 0) {
+      result.safety_warnings = safetyWarnings;
+    }
+
+    return result;
+  } finally {
+    // Clean up temp file
+    try {
+      await fs.unlink(tempFile);
+    } catch (e) {
+      log('warn', `Failed to delete temp file: ${tempFile}`);
+    }
+  }
+}
+
+/**
+ * Check Python code syntax without executing
+ */
+async function checkPythonSyntax(code = null, scriptPath = null) {
+  if (!code && !scriptPath) {
+    throw new Error('Either code or script_path must be provided');
+  }
+
+  if (code && scriptPath) {
+    throw new Error('Provide either code or script_path, not both');
+  }
+
+  let codeToCheck = code;
+
+  if (scriptPath) {
+    const validated = validatePath(scriptPath);
+    if (!fsSync.existsSync(validated)) {
+      return {
+        valid: false,
+        errors: [`Script not found: ${validated}`],
+        source: 'file'
+      };
+    }
+    codeToCheck = await fs.readFile(validated, 'utf8');
+  }
+
+  // Use Python's compile to check syntax
+  const checkCode = `
+import sys
+import ast
+try:
+    ast.parse('''${codeToCheck.replace(/\\/g, '\\\\').replace(/'''/g, "\\'\\'\\'")}''')
+    print('SYNTAX_OK')
+except SyntaxError as e:
+    print(f'SYNTAX_ERROR:{e.lineno}:{e.offset}:{e.msg}')
+`;
+
+  const tempDir = os.tmpdir();
+  const tempFile = path.join(tempDir, `syntax_check_${Date.now()}.py`);
+
+  try {
+    await fs.writeFile(tempFile, checkCode, 'utf8');
+
+    const result = await spawnPython(tempFile, [], tempDir, 5000);
+
+    if (result.stdout.includes('SYNTAX_OK')) {
+      return {
+        valid: true,
+        message: 'Syntax is valid',
+        source: scriptPath ? 'file' : 'code'
+      };
+    } else if (result.stdout.includes('SYNTAX_ERROR:')) {
+      const parts = result.stdout.split('SYNTAX_ERROR:')[1].trim().split(':');
+      return {
+        valid: false,
+        line_number: parseInt(parts[0], 10),
+        offset: parseInt(parts[1], 10),
+        error: parts.slice(2).join(':'),
+        source: scriptPath ? 'file' : 'code'
+      };
+    } else {
+      return {
+        valid: false,
+        errors: [result.stderr || 'Unknown syntax check error'],
+        source: scriptPath ? 'file' : 'code'
+      };
+    }
+  } finally {
+    try {
+      await fs.unlink(tempFile);
+    } catch (e) {}
+  }
+}
+
+/**
+ * Get Python interpreter info, including the packages installed in it
+ */
+async function getPythonInfo(python = null) {
+  const code = `
+import sys
+import platform
+import json
+from importlib import metadata
+packages = {}
+for dist in metadata.distributions():
+    name = dist.metadata["Name"]
+    if name and name.lower() not in packages:
+        packages[name.lower()] = {"name": name, "version": dist.version}
+print(json.dumps({
+    "version": sys.version,
+    "version_info": {
+        "major": sys.version_info.major,
+        "minor": sys.version_info.minor,
+        "micro": sys.version_info.micro
+    },
+    "executable": sys.executable,
+    "platform": platform.platform(),
+    "architecture": platform.architecture()[0],
+    "prefix": sys.prefix,
+    "virtual_env": sys.prefix != sys.base_prefix,
+    "packages": sorted(packages.values(), key=lambda p: p["name"].lower())
+}))
+`;
+
+  const result = await runPythonCode(code, 10000, null, {}, null, python);
+
+  if (result.success) {
+    try {
+      return JSON.parse(result.stdout.trim());
+    } catch (e) {
+      return { error: 'Failed to parse Python info', raw: result.stdout };
+    }
+  } else {
+    return { error: result.stderr || result.error };
+  }
+}
+
+// ============================================================================
+// VIRTUAL ENVIRONMENTS - Per-project interpreters and dependency installs
+// ============================================================================
+
+const PIP_TIMEOUT_DEFAULT = 300000;
+const BARE_PYTHON_COMMAND = /^(python|python3|python3\.\d+|py)(\.exe)?$/i;
+
+function venvPythonPath(venvDir) {
+  return IS_WINDOWS
+    ? path.join(venvDir, 'Scripts', 'python.exe')
+    : path.join(venvDir, 'bin', 'python');
+}
+
+/**
+ * Check that a directory is a virtual environment and return its interpreter
+ */
+function validateVenv(venvPath, access = 'execute') {
+  const validated = validatePath(venvPath, access);
+  if (!fsSync.existsSync(path.join(validated, 'pyvenv.cfg'))) {
+    throw new Error(`Not a virtual environment (no pyvenv.cfg): ${validated}`);
+  }
+  const python = venvPythonPath(validated);
+  if (!fsSync.existsSync(python)) {
+    throw new Error(`Virtual environment has no interpreter: ${python}`);
+  }
+  return { dir: validated, python: python };
+}
+
+/**
+ * Turn a tool call's `venv` / `interpreter` arguments into the interpreter
+ * to spawn. Returns null when neither is given, meaning PYTHON_PATH.
+ * Interpreter paths must be executable under the path policy; bare names
+ * are limited to python-looking commands so this can't launch anything else.
+ */
+function resolvePythonInterpreter(venv = null, interpreter = null) {
+  if (venv && interpreter) {
+    throw new Error('Provide either venv or interpreter, not both');
+  }
+
+  if (venv) {
+    const { dir, python } = validateVenv(venv);
+    return {
+      path: python,
+      env: {
+        VIRTUAL_ENV: dir,
+        PATH: `${path.dirname(python)}${path.delimiter}${process.env.PATH || ''}`
+      }
+    };
+  }
+
+  if (interpreter) {
+    if (BARE_PYTHON_COMMAND.test(interpreter)) {
+      return { path: interpreter, env: {} };
+    }
+    if (!path.isAbsolute(interpreter)) {
+      throw new Error(`Interpreter must be an absolute path or a python command name: ${interpreter}`);
+    }
+    const validated = validatePath(interpreter, 'execute');
+    if (!fsSync.existsSync(validated)) {
+      throw new Error(`Interpreter not found: ${validated}`);
+    }
+    return { path: validated, env: {} };
+  }
+
+  return null;
+}
+
+function readPyvenvCfg(venvDir) {
+  const cfg = {};
+  try {
+    for (const line of fsSync.readFileSync(path.join(venvDir, 'pyvenv.cfg'), 'utf8').split(/\r?\n/)) {
+      const match = line.match(/^\s*([^=]+?)\s*=\s*(.*?)\s*$/);
+      if (match) cfg[match[1].toLowerCase()] = match[2];
+    }
+  } catch (e) {}
+  return cfg;
+}
+
+function describeVenv(venvDir) {
+  const cfg = readPyvenvCfg(venvDir);
+  const python = venvPythonPath(venvDir);
+  return {
+    path: venvDir,
+    python: python,
+    python_version: cfg.version_info || cfg.version || null,
+    base_python: cfg.home || null,
+    system_site_packages: cfg['include-system-site-packages'] === 'true',
+    healthy: fsSync.existsSync(python)
+  };
+}
+
+/**
+ * Create a virtual environment with `python -m venv`
+ */
+async function createVenv(venvPath, interpreter = null, systemSitePackages = false, withPip = true, timeout = PIP_TIMEOUT_DEFAULT) {
+  try {
+    const validated = validatePath(venvPath, 'write');
+    if (fsSync.existsSync(validated) && fsSync.readdirSync(validated).length > 0) {
+      throw new Error(`Path already exists and is not empty: ${validated}`);
+    }
+
+    const argv = ['-m', 'venv'];
+    if (systemSitePackages) argv.push('--system-site-packages');
+    if (!withPip) argv.push('--without-pip');
+    argv.push(validated);
+
+    log('info', `Creating virtual environment: ${validated}`);
+    const result = await spawnInterpreter(argv, path.dirname(validated), timeout, {}, null, resolvePythonInterpreter(null, interpreter));
+    if (!result.success) {
+      throw new Error(`venv creation failed: ${result.error || result.stderr.trim() || `exit code ${result.exit_code}`}`);
+    }
+
+    return {
+      success: true,
+      ...describeVenv(validated),
+      duration_ms: result.duration_ms
+    };
+  } catch (error) {
+    log('error', 'Create venv error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find virtual environments (directories with a pyvenv.cfg) below a directory
+ */
+async function listVenvs(directory, maxDepth = 3) {
+  try {
+    const validated = validatePath(directory);
+    const matches = await glob('**/pyvenv.cfg', {
+      cwd: validated,
+      absolute: true,
+      nodir: true,
+      dot: true,
+      maxDepth: maxDepth + 1,
+      ignore: ['**/node_modules/**', '**/.git/**']
+    });
+
+    const venvs = matches
+      .map(cfg => path.dirname(cfg))
+      .filter(dir => isPathAllowed(dir))
+      .sort()
+      .map(describeVenv);
+
+    log('info', `Found ${venvs.length} virtual environments under ${validated}`);
+
+    return {
+      directory: validated,
+      venvs: venvs,
+      count: venvs.length
+    };
+  } catch (error) {
+    log('error', 'List venvs error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a virtual environment. Only directories with a pyvenv.cfg are
+ * accepted, and nothing is backed up: a venv is rebuilt, not restored.
+ */
+async function deleteVenv(venvPath) {
+  try {
+    const validated = validatePath(venvPath, 'write');
+    if (!fsSync.existsSync(path.join(validated, 'pyvenv.cfg'))) {
+      throw new Error(`Not a virtual environment (no pyvenv.cfg): ${validated}`);
+    }
+
+    await fs.rm(validated, { recursive: true, force: true });
+    log('info', `Deleted virtual environment: ${validated}`);
+
+    return {
+      success: true,
+      path: validated
+    };
+  } catch (error) {
+    log('error', 'Delete venv error:', error);
+    throw error;
+  }
+}
+
+/**
+ * pip install into a virtual environment, from a requirements file and/or
+ * package specifiers, optionally offline from a local wheelhouse or from
+ * a custom index. Installs only ever target a venv, never the base Python.
+ */
+async function pipInstall(venvPath, options = {}, progress = null) {
+  try {
+    const { dir } = validateVenv(venvPath, 'write');
+    const packages = options.packages || [];
+
+    if (!options.requirements && packages.length === 0) {
+      throw new Error('Provide requirements and/or packages to install');
+    }
+    if (options.wheelhouse && options.indexUrl) {
+      throw new Error('Provide either wheelhouse or index_url, not both');
+    }
+
+    const argv = ['-m', 'pip', 'install', '--disable-pip-version-check', '--no-input'];
+    if (options.upgrade) argv.push('--upgrade');
+    if (options.requirements) {
+      const requirements = validatePath(options.requirements);
+      if (!fsSync.existsSync(requirements)) {
+        throw new Error(`Requirements file not found: ${requirements}`);
+      }
+      argv.push('-r', requirements);
+    }
+    if (options.wheelhouse) {
+      argv.push('--no-index', '--find-links', validatePath(options.wheelhouse));
+    }
+    if (options.indexUrl) {
+      argv.push('--index-url', options.indexUrl);
+    }
+    for (const spec of packages) {
+      // Specifiers only; options go through the dedicated arguments
+      if (typeof spec !== 'string' || !spec.trim() || spec.trim().startsWith('-')) {
+        throw new Error(`Invalid package specifier: ${JSON.stringify(spec)}`);
+      }
+      argv.push(spec.trim());
+    }
+
+    log('info', `pip install into ${dir}: ${argv.slice(5).join(' ')}`);
+    const python = resolvePythonInterpreter(dir);
+    const result = await spawnInterpreter(argv, dir, options.timeout || PIP_TIMEOUT_DEFAULT, {}, progress, python);
+
+    const installedLine = result.stdout.split(/\r?\n/).find(line => line.startsWith('Successfully installed '));
+    return {
+      ...result,
+      venv: dir,
+      installed: installedLine ? installedLine.slice('Successfully installed '.length).trim().split(/\s+/) : []
+    };
+  } catch (error) {
+    log('error', 'pip install error:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// PYTHON TESTS - pytest / unittest runs with per-test results
+// ============================================================================
+
+const TEST_RUNNERS = ['auto', 'pytest', 'unittest'];
+const TEST_TIMEOUT_DEFAULT = 300000;
+const TEST_LIST_LIMIT = 500;
+const TEST_TRACEBACK_MAX = 4000;
+const TEST_NOT_OK = ['failed', 'error'];
+
+/**
+ * unittest has no JUnit output of its own, so the fallback runs the suite
+ * through this and writes the report pytest would. Payload is base64 JSON:
+ * {target, patterns, failfast, report}.
+ */
+const UNITTEST_JUNIT_RUNNER = `
+import base64
+import inspect
+import json
+import os
+import sys
+import time
+import unittest
+import xml.etree.ElementTree as ET
+
+payload = json.loads(base64.b64decode('%PAYLOAD%').decode('utf-8'))
+
+# Like python -m unittest: the working directory is importable, this
+# temp file's directory isn't
+sys.path[0] = os.getcwd()
+
+
+class JUnitResult(unittest.TextTestResult):
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self.cases = []
+        self.started = None
+
+    def startTest(self, test):
+        self.started = time.perf_counter()
+        super().startTest(test)
+
+    def record(self, test, kind=None, err=None, message=None):
+        elapsed = time.perf_counter() - self.started if self.started else 0.0
+        text = None
+        if err is not None:
+            message = '%s: %s' % (err[0].__name__, err[1])
+            text = self._exc_info_to_string(err, test)
+        self.cases.append((test, kind, message, text, elapsed))
+
+    def addSuccess(self, test):
+        super().addSuccess(test)
+        self.record(test)
+
+    def addFailure(self, test, err):
+        super().addFailure(test, err)
+        self.record(test, 'failure', err)
+
+    def addError(self, test, err):
+        super().addError(test, err)
+        self.record(test, 'error', err)
+
+    def addSkip(self, test, reason):
+        super().addSkip(test, reason)
+        self.record(test, 'skipped', message=reason)
+
+    def addExpectedFailure(self, test, err):
+        super().addExpectedFailure(test, err)
+        self.record(test, 'skipped', message='expected failure')
+
+    def addUnexpectedSuccess(self, test):
+        super().addUnexpectedSuccess(test)
+        self.record(test, 'failure', message='unexpected success')
+
+    def addSubTest(self, test, subtest, err):
+        super().addSubTest(test, subtest, err)
+        if err is not None:
+            kind = 'failure' if issubclass(err[0], test.failureException) else 'error'
+            self.record(subtest, kind, err)
+
+
+def names(test):
+    case = getattr(test, 'test_case', test)
+    classname, _, name = case.id().rpartition('.')
+    return classname, name + test.id()[len(case.id()):]
+
+
+def location(test):
+    case = getattr(test, 'test_case', test)
+    if type(case).__module__.startswith('unittest.'):
+        return None, None
+    method = getattr(type(case), getattr(case, '_testMethodName', ''), None)
+    try:
+        target = inspect.unwrap(method) if method else type(case)
+        return inspect.getsourcefile(target), inspect.getsourcelines(target)[1]
+    except (TypeError, OSError):
+        return None, None
+
+
+loader = unittest.TestLoader()
+if payload['patterns']:
+    loader.testNamePatterns = [p if '*' in p else '*%s*' % p for p in payload['patterns']]
+
+target = payload['target']
+if os.path.isdir(target):
+    suite = loader.discover(target, pattern='test*.py')
+else:
+    suite = loader.discover(os.path.dirname(target), pattern=os.path.basename(target))
+
+runner = unittest.TextTestRunner(stream=sys.stderr, verbosity=2, failfast=payload['failfast'], resultclass=JUnitResult)
+result = runner.run(suite)
+
+suite_el = ET.Element('testsuite', {
+    'name': 'unittest',
+    'tests': str(len(result.cases)),
+    'failures': str(len(result.failures)),
+    'errors': str(len(result.errors)),
+    'skipped': str(len(result.skipped)),
+})
+for test, kind, message, text, elapsed in result.cases:
+    classname, name = names(test)
+    attrs = {'classname': classname, 'name': name, 'time': '%.3f' % elapsed}
+    file, line = location(test)
+    if file:
+        attrs['file'] = file
+        attrs['line'] = str(line)
+    case_el = ET.SubElement(suite_el, 'testcase', attrs)
+    if kind:
+        ET.SubElement(case_el, kind, {'message': message or ''}).text = text
+
+root = ET.Element('testsuites')
+root.append(suite_el)
+ET.ElementTree(root).write(payload['report'], encoding='utf-8', xml_declaration=True)
+
+# Same exit codes as pytest, including 5 for "nothing collected"
+if not result.testsRun:
+    sys.exit(5)
+sys.exit(0 if result.wasSuccessful() else 1)
+`;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const hex = entity[1] === 'x' || entity[1] === 'X';
+      return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10));
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function parseXmlAttributes(text) {
+  const attrs = {};
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeXmlText(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Innermost frame of a traceback, from Python's `File "x", line N` or
+ * pytest's `x.py:N:` lines. Relative paths are resolved against workDir.
+ */
+function tracebackLocation(text, workDir) {
+  let found = null;
+  for (const match of text.matchAll(/File "([^"]+)", line (\d+)/g)) {
+    found = match;
+  }
+  if (!found) {
+    for (const match of text.matchAll(/^((?:[A-Za-z]:)?[^:\n]+\.py):(\d+):/gm)) {
+      found = match;
+    }
+  }
+  return found ? { file: path.resolve(workDir, found[1].trim()), line: Number(found[2]) } : null;
+}
+
+/**
+ * pytest-style node ID (path::Class::test), relative to workDir. Passed
+ * back as `path` with the same `cwd`, it re-runs just that test.
+ */
+function testNodeId(file, classname, name, workDir) {
+  const relative = path.relative(workDir, path.resolve(workDir, file)).split(path.sep).join('/');
+  if (!classname) {
+    // Collection errors are reported against the module itself
+    return relative;
+  }
+  const parts = (classname || '').split('.');
+  const moduleIndex = parts.lastIndexOf(path.basename(file, '.py'));
+  const classes = moduleIndex >= 0 ? parts.slice(moduleIndex + 1) : [];
+  return [relative, ...classes, name].join('::');
+}
+
+/**
+ * Per-test outcomes from a JUnit XML report. Only the shape pytest and the
+ * unittest runner write is understood; this is not a general XML parser.
+ * pytest's xunit1 `line` is 0-based, hence lineOffset.
+ */
+function parseJUnitReport(xml, workDir, lineOffset = 0) {
+  const tests = [];
+  for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attrs = parseXmlAttributes(match[1]);
+    const children = [...(match[2] || '').matchAll(/<(failure|error|skipped)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)];
+    // A test that failed and then errored in teardown reports the failure
+    const outcome = ['failure', 'error', 'skipped'].map(kind => children.find(c => c[1] === kind)).find(Boolean);
+
+    let status = 'passed';
+    let message = null;
+    let traceback = null;
+    let location = null;
+    if (outcome) {
+      const outcomeAttrs = parseXmlAttributes(outcome[2]);
+      status = { failure: 'failed', error: 'error', skipped: 'skipped' }[outcome[1]];
+      if (status === 'skipped' && outcomeAttrs.type === 'pytest.xfail') {
+        status = 'xfailed';
+      }
+      message = outcomeAttrs.message || null;
+      const text = outcome[3] ? decodeXmlText(outcome[3]).trim() : '';
+      if (text) {
+        traceback = text.length > TEST_TRACEBACK_MAX ? '...' + text.slice(-TEST_TRACEBACK_MAX) : text;
+        location = tracebackLocation(text, workDir);
+      }
+    }
+
+    const file = attrs.file ? path.resolve(workDir, attrs.file) : null;
+    tests.push({
+      node_id: file ? testNodeId(file, attrs.classname, attrs.name, workDir) : null,
+      name: attrs.name,
+      classname: attrs.classname || null,
+      status: status,
+      duration_ms: Math.round(parseFloat(attrs.time || '0') * 1000),
+      file: file,
+      line: attrs.line !== undefined ? Number(attrs.line) + lineOffset : null,
+      message: message,
+      traceback: traceback,
+      location: location
+    });
+  }
+  return tests;
+}
+
+/**
+ * Split a path or node ID into the validated file or directory and its
+ * ::Class::test parts. Relative paths are taken from cwd, like the node IDs
+ * runs return; only the path goes through the policy.
+ */
+function resolveTestTarget(target, cwd = null) {
+  const [targetPath, ...nodeParts] = String(target || '').split('::');
+  if (!targetPath) {
+    throw new Error('path is required');
+  }
+  const validatedCwd = cwd ? validatePath(cwd, 'execute') : null;
+  const validated = validatePath(validatedCwd ? path.resolve(validatedCwd, targetPath) : targetPath, 'execute');
+  const isDirectory = fsSync.existsSync(validated) && fsSync.statSync(validated).isDirectory();
+  return {
+    validated: validated,
+    nodeParts: nodeParts,
+    isDirectory: isDirectory,
+    workDir: validatedCwd || (isDirectory ? validated : path.dirname(validated))
+  };
+}
+
+/**
+ * Run pytest, or unittest when pytest isn't installed, on a file, directory
+ * or pytest node ID and return per-test results read from a JUnit report
+ * instead of scraped from stdout
+ */
+async function runPythonTests(target, options = {}, progress = null, python = null) {
+  try {
+    const runnerSetting = options.runner || 'auto';
+    if (!TEST_RUNNERS.includes(runnerSetting)) {
+      throw new Error(`Unknown runner: ${runnerSetting} (expected ${TEST_RUNNERS.join(', ')})`);
+    }
+
+    const { validated, nodeParts, isDirectory, workDir } = resolveTestTarget(target, options.cwd);
+    if (!fsSync.existsSync(validated)) {
+      throw new Error(`Test path not found: ${validated}`);
+    }
+    if (isDirectory && nodeParts.length > 0) {
+      throw new Error('Node IDs must name a test file, not a directory');
+    }
+    const timeout = options.timeout || TEST_TIMEOUT_DEFAULT;
+    const env = options.env || {};
+    const limits = resolveProcessLimits(options.limits || {});
+
+    let runner = runnerSetting;
+    if (runner === 'auto') {
+      const probe = await spawnInterpreter(['-c', 'import pytest'], workDir, 30000, env, null, python);
+      runner = probe.success ? 'pytest' : 'unittest';
+    }
+    if (runner === 'unittest' && options.markers) {
+      throw new Error('Marker selection is only supported by pytest');
+    }
+
+    const stamp = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    const reportFile = path.join(os.tmpdir(), `darkside_junit_${stamp}.xml`);
+    const helperFile = path.join(os.tmpdir(), `darkside_unittest_${stamp}.py`);
+
+    log('info', `Running ${runner} on ${target} in ${workDir}`);
+    try {
+      let result;
+      if (runner === 'pytest') {
+        // xunit1 keeps file/line on each testcase; a fixed rootdir makes
+        // those paths relative to workDir
+        const argv = [
+          '-m', 'pytest', [validated, ...nodeParts].join('::'),
+          `--junitxml=${reportFile}`, '-o', 'junit_family=xunit1',
+          '--rootdir', workDir, '--tb=short', '-q'
+        ];
+        if (options.keyword) argv.push('-k', options.keyword);
+        if (options.markers) argv.push('-m', options.markers);
+        if (options.failFast) argv.push('-x');
+        result = await spawnInterpreter(argv, workDir, timeout, env, progress, python, limits);
+      } else {
+        // unittest -k patterns are substrings of module.Class.test, so a
+        // node ID's Class::test becomes one
+        let patterns = options.keyword ? [options.keyword] : [];
+        if (nodeParts.length > 0) {
+          if (options.keyword) {
+            throw new Error('keyword cannot be combined with a node ID under unittest');
+          }
+          patterns = [nodeParts.join('.')];
+        }
+        const payload = { target: validated, patterns: patterns, failfast: options.failFast === true, report: reportFile };
+        const encoded = Buffer.from(JSON.stringify(payload)).toString('base64');
+        await fs.writeFile(helperFile, UNITTEST_JUNIT_RUNNER.replace('%PAYLOAD%', encoded), 'utf8');
+        result = await spawnInterpreter([helperFile], workDir, timeout, env, progress, python, limits);
+      }
+
+      let report = null;
+      try {
+        report = await fs.readFile(reportFile, 'utf8');
+      } catch (e) {
+        // No report: killed, crashed, or a usage error before collection
+      }
+
+      const response = { ...result, runner: runner, target: target, working_directory: workDir };
+      if (report === null) {
+        return {
+          ...response,
+          success: false,
+          summary: null,
+          tests: [],
+          error: result.error || 'The test run wrote no JUnit report; see stdout and stderr'
+        };
+      }
+
+      const tests = parseJUnitReport(report, workDir, runner === 'pytest' ? 1 : 0);
+      const summary = { total: tests.length, passed: 0, failed: 0, error: 0, skipped: 0, xfailed: 0 };
+      for (const test of tests) {
+        summary[test.status]++;
+      }
+      // Failures first so a truncated list still shows what needs fixing
+      const ordered = [
+        ...tests.filter(test => TEST_NOT_OK.includes(test.status)),
+        ...tests.filter(test => !TEST_NOT_OK.includes(test.status))
+      ];
+
+      if (tests.length === 0 && !response.error) {
+        response.error = result.exit_code === 5
+          ? 'No tests were collected'
+          : 'The run reported no test results; see stdout and stderr';
+      }
+      return {
+        ...response,
+        summary: summary,
+        tests: ordered.slice(0, TEST_LIST_LIMIT),
+        tests_truncated: ordered.length > TEST_LIST_LIMIT
+      };
+    } finally {
+      await fs.rm(reportFile, { force: true });
+      await fs.rm(helperFile, { force: true });
+    }
+  } catch (error) {
+    log('error', 'Run Python tests error:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// PYTHON SESSIONS - Long-lived interpreters that keep state between calls
+// ============================================================================
+
+/**
+ * Driver run inside each session interpreter. Reads one JSON request per
+ * line from its own stdin pipe, executes the code in a persistent namespace
+ * and writes a marker line to both streams when done. If the last statement
+ * is an expression, its repr is returned as `result`, like the REPL.
+ */
+const PYTHON_SESSION_DRIVER = `
+import ast, io, json, os, signal, sys, traceback
+
+_marker = os.environ.pop('DARKSIDE_SESSION_MARKER')
+_result_max = int(os.environ.pop('DARKSIDE_SESSION_RESULT_MAX'))
+_requests = sys.stdin
+sys.stdin = io.StringIO('')
+_namespace = {'__name__': '__main__', '__builtins__': __builtins__}
+
+def _run(code):
+    tree = ast.parse(code, '<session>', 'exec')
+    last = None
+    if tree.body and isinstance(tree.body[-1], ast.Expr):
+        last = ast.Expression(tree.body.pop().value)
+    exec(compile(tree, '<session>', 'exec'), _namespace)
+    if last is not None:
+        value = eval(compile(last, '<session>', 'eval'), _namespace)
+        if value is not None:
+            text = repr(value)
+            if len(text) > _result_max:
+                text = text[:_result_max] + '... [%d chars truncated]' % (len(text) - _result_max)
+            return text
+    return None
+
+signal.signal(signal.SIGINT, signal.SIG_IGN)
+while True:
+    line = _requests.readline()
+    if not line:
+        break
+    request = json.loads(line)
+    reply = {'status': 'ok', 'result': None, 'error': None}
+    try:
+        signal.signal(signal.SIGINT, signal.default_int_handler)
+        reply['result'] = _run(request['code'])
+    except KeyboardInterrupt:
+        reply['status'] = 'interrupted'
+        reply['error'] = 'KeyboardInterrupt'
+    except SyntaxError:
+        reply['status'] = 'error'
+        reply['error'] = ''.join(traceback.format_exception_only(*sys.exc_info()[:2]))
+    except BaseException:
+        etype, value, tb = sys.exc_info()
+        shown = tb
+        while shown is not None and shown.tb_frame.f_code.co_filename != '<session>':
+            shown = shown.tb_next
+        reply['status'] = 'error'
+        reply['error'] = ''.join(traceback.format_exception(etype, value, shown or tb))
+    finally:
+        signal.signal(signal.SIGINT, signal.SIG_IGN)
+    for stream in (sys.stdout, sys.stderr):
+        try:
+            stream.flush()
+        except Exception:
+            pass
+    sys.__stderr__.write(_marker + '\\n')
+    sys.__stderr__.flush()
+    sys.__stdout__.write(_marker + json.dumps(reply) + '\\n')
+    sys.__stdout__.flush()
+`;
+
+const PYTHON_SESSION_KILL_GRACE = 2000;
+const pythonSessions = new Map();
+let pythonSessionReaper = null;
+
+function describePythonSession(session) {
+  return {
+    session_id: session.id,
+    name: session.name,
+    pid: session.proc.pid,
+    working_directory: session.cwd,
+    started: new Date(session.started).toISOString(),
+    last_used: new Date(session.lastUsed).toISOString(),
+    exec_count: session.execCount,
+    busy: session.pending !== null
+  };
+}
+
+/**
+ * Move a session stream's decoded text into the exec's output capture,
+ * which caps it like any other run. Only the end marker, or what could be
+ * the start of one, stays buffered.
+ */
+function drainSessionStream(session, name) {
+  const marker = name === 'stdout' ? session.marker : session.marker + '\n';
+  const buffered = session[name];
+  const index = buffered.indexOf(marker);
+  let keep = index !== -1 ? index : Math.max(0, buffered.length - marker.length + 1);
+  // Don't split a surrogate pair between the capture and the buffer
+  if (keep > 0 && keep < buffered.length && /[\uD800-\uDBFF]/.test(buffered[keep - 1])) {
+    keep--;
+  }
+  if (keep > 0) {
+    session.capture.write(name, Buffer.from(buffered.slice(0, keep), 'utf8'));
+    session[name] = buffered.slice(keep);
+  }
+}
+
+/**
+ * Match a completed exec once both streams have delivered their marker
+ */
+function settlePythonExec(session) {
+  const pending = session.pending;
+  if (!pending) {
+    return;
+  }
+  // Draining leaves each end marker at the start of its buffer
+  if (!session.stdout.startsWith(session.marker) || !session.stderr.startsWith(session.marker + '\n')) {
+    return;
+  }
+  const lineEnd = session.stdout.indexOf('\n');
+  if (lineEnd === -1) {
+    return;
+  }
+
+  const reply = JSON.parse(session.stdout.slice(session.marker.length, lineEnd));
+  session.stdout = session.stdout.slice(lineEnd + 1);
+  session.stderr = session.stderr.slice(session.marker.length + 1);
+  const output = session.capture.finish();
+  // Whatever follows the markers belongs to the next exec
+  session.capture = createOutputCapture();
+  drainSessionStream(session, 'stdout');
+  drainSessionStream(session, 'stderr');
+
+  pending.finish({
+    success: reply.status === 'ok' && !pending.timedOut,
+    status: pending.timedOut ? 'timeout' : reply.status,
+    ...output,
+    result: reply.result,
+    error: pending.timedOut ? `Execution interrupted after timeout (${pending.timeout}ms)` : reply.error
+  });
+}
+
+function removePythonSession(session) {
+  pythonSessions.delete(session.id);
+  if (pythonSessions.size === 0 && pythonSessionReaper) {
+    clearInterval(pythonSessionReaper);
+    pythonSessionReaper = null;
+  }
+}
+
+function reapIdlePythonSessions() {
+  if (PYTHON_SESSION_IDLE_TIMEOUT <= 0) {
+    return;
+  }
+  const now = Date.now();
+  for (const session of pythonSessions.values()) {
+    if (!session.pending && now - session.lastUsed > PYTHON_SESSION_IDLE_TIMEOUT) {
+      log('info', `Reaping idle Python session ${session.id}`);
+      closePythonSession(session.id).catch(() => {});
+    }
+  }
+}
+
+async function startPythonSession(name = null, cwd = null, env = {}) {
+  if (pythonSessions.size >= PYTHON_MAX_SESSIONS) {
+    throw new Error(`Session limit reached (${PYTHON_MAX_SESSIONS}); close one with python_session_close first`);
+  }
+
+  const workDir = cwd ? validatePath(cwd, 'execute') : os.tmpdir();
+  const id = `py-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const marker = `<<DARKSIDE-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}>>`;
+
+  log('info', `Starting Python session ${id} in ${workDir}`);
+
+  // stdin is a private pipe to the driver, never the MCP transport
+  const proc = spawnProcessGroup(PYTHON_PATH, ['-u', '-c', PYTHON_SESSION_DRIVER], {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      PYTHONUNBUFFERED: '1',
+      PYTHONDONTWRITEBYTECODE: '1',
+      ...env,
+      DARKSIDE_SESSION_MARKER: marker,
+      DARKSIDE_SESSION_RESULT_MAX: String(OUTPUT_MAX_BYTES)
+    },
+    stdio: ['pipe', 'pipe', 'pipe'],
+    windowsHide: true
+  });
+
+  const session = {
+    id: id,
+    name: name,
+    proc: proc,
+    marker: marker,
+    cwd: workDir,
+    started: Date.now(),
+    lastUsed: Date.now(),
+    execCount: 0,
+    stdout: '',
+    stderr: '',
+    capture: createOutputCapture(),
+    pending: null,
+    exited: false
+  };
+
+  const stdoutDecoder = new StringDecoder('utf8');
+  const stderrDecoder = new StringDecoder('utf8');
+  proc.stdout.on('data', (data) => {
+    session.stdout += stdoutDecoder.write(data);
+    drainSessionStream(session, 'stdout');
+    settlePythonExec(session);
+  });
+  proc.stderr.on('data', (data) => {
+    session.stderr += stderrDecoder.write(data);
+    drainSessionStream(session, 'stderr');
+    settlePythonExec(session);
+  });
+  proc.stdin.on('error', (err) => log('warn', `Python session ${id} stdin error:`, err.message));
+
+  proc.on('close', (code, signal) => {
+    session.exited = true;
+    removePythonSession(session);
+    for (const name of OUTPUT_STREAMS) {
+      session.capture.write(name, Buffer.from(session[name], 'utf8'));
+      session[name] = '';
+    }
+    const output = session.capture.finish();
+    if (session.pending) {
+      session.pending.finish({
+        success: false,
+        status: session.pending.timedOut ? 'timeout' : 'exited',
+        ...output,
+        result: null,
+        error: session.pending.timedOut
+          ? `Session killed after timeout (${session.pending.timeout}ms); its state is lost`
+          : `Session process exited (code ${code}${signal ? `, signal ${signal}` : ''}); its state is lost`
+      });
+    }
+    log('info', `Python session ${id} exited`);
+  });
+
+  await new Promise((resolve, reject) => {
+    proc.once('spawn', resolve);
+    proc.once('error', reject);
+  });
+
+  pythonSessions.set(id, session);
+  if (!pythonSessionReaper) {
+    pythonSessionReaper = setInterval(reapIdlePythonSessions, 60000);
+    pythonSessionReaper.unref();
+  }
+
+  return {
+    success: true,
+    ...describePythonSession(session)
+  };
+}
+
+function getPythonSession(sessionId) {
+  const session = pythonSessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Python session not found: ${sessionId}`);
+  }
+  return session;
+}
+
+/**
+ * Interrupt the running exec with KeyboardInterrupt. Windows has no SIGINT
+ * for child processes, so there the session is terminated instead.
+ */
+function interruptPythonExec(session) {
+  if (process.platform === 'win32') {
+    session.proc.kill();
+  } else {
+    session.proc.kill('SIGINT');
+  }
+}
+
+async function execPythonSession(sessionId, code, timeout = PYTHON_TIMEOUT) {
+  const session = getPythonSession(sessionId);
+
+  if (!code || !code.trim()) {
+    throw new Error('Code cannot be empty');
+  }
+  if (session.pending) {
+    throw new Error(`Python session ${sessionId} is busy; wait for it or use python_session_interrupt`);
+  }
+
+  // Security check
+  const safetyWarnings = await enforcePythonSafety(code);
+
+  const safeTimeout = Math.min(Math.max(timeout, 1000), PYTHON_MAX_TIMEOUT);
+  log('info', `Executing in Python session ${sessionId} (${code.length} chars, timeout: ${safeTimeout}ms)`);
+
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    let killTimer = null;
+
+    const pending = {
+      timeout: safeTimeout,
+      timedOut: false,
+      finish: (outcome) => {
+        clearTimeout(timeoutId);
+        clearTimeout(killTimer);
+        session.pending = null;
+        session.lastUsed = Date.now();
+        session.execCount++;
+        resolve({
+          ...outcome,
+          session_id: sessionId,
+          duration_ms: Date.now() - startTime,
+          exec_count: session.execCount,
+          session_alive: !session.exited,
+          ...(safetyWarnings.length > 0 ? { safety_warnings: safetyWarnings } : {})
+        });
+      }
+    };
+
+    // Interrupt first; kill the whole session if the code swallows it
+    const timeoutId = setTimeout(() => {
+      pending.timedOut = true;
+      interruptPythonExec(session);
+      killTimer = setTimeout(() => signalProcessTree(session.proc, 'SIGKILL'), PYTHON_SESSION_KILL_GRACE);
+    }, safeTimeout);
+
+    session.pending = pending;
+    session.proc.stdin.write(JSON.stringify({ code: code }) + '\n');
+  });
+}
+
+async function interruptPythonSession(sessionId) {
+  const session = getPythonSession(sessionId);
+  if (!session.pending) {
+    return { success: true, session_id: sessionId, interrupted: false, message: 'Session is idle' };
+  }
+  log('info', `Interrupting Python session ${sessionId}`);
+  interruptPythonExec(session);
+  return { success: true, session_id: sessionId, interrupted: true };
+}
+
+async function listPythonSessions() {
+  const sessions = [...pythonSessions.values()].map(describePythonSession);
+  return {
+    success: true,
+    sessions: sessions,
+    count: sessions.length,
+    max_sessions: PYTHON_MAX_SESSIONS,
+    idle_timeout_ms: PYTHON_SESSION_IDLE_TIMEOUT
+  };
+}
+
+async function closePythonSession(sessionId) {
+  const session = getPythonSession(sessionId);
+  log('info', `Closing Python session ${sessionId}`);
+
+  // EOF on stdin ends the driver loop; kill it if it doesn't go quietly
+  const exited = session.exited
+    ? Promise.resolve()
+    : new Promise((resolve) => session.proc.once('close', resolve));
+  session.proc.stdin.end();
+  const killTimer = setTimeout(() => signalProcessTree(session.proc, 'SIGKILL'), PYTHON_SESSION_KILL_GRACE);
+  if (session.pending) {
+    interruptPythonExec(session);
+  }
+  await exited;
+  clearTimeout(killTimer);
+  removePythonSession(session);
+
+  return {
+    success: true,
+    session_id: sessionId,
+    exec_count: session.execCount
+  };
+}
+
+// ============================================================================
+// POWERSHELL EXECUTION - Full Windows System Access
+// ============================================================================
+// "For those willing to trust" - Jason Glass, 2026
+// This gives your AI partner real power on your system.
+// ============================================================================
+
+const POWERSHELL_TOOLS = ['run_powershell', 'run_powershell_script', 'get_powershell_info'];
+
+// PowerShell 7 first, then Windows PowerShell; the install locations catch
+// interpreters that aren't on the server's PATH
+const POWERSHELL_CANDIDATES = IS_WINDOWS
+  ? [
+    'pwsh.exe',
+    path.join(process.env.ProgramFiles || 'C:\\Program Files', 'PowerShell', '7', 'pwsh.exe'),
+    'powershell.exe',
+    path.join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'WindowsPowerShell', 'v1.0', 'powershell.exe')
+  ]
+  : ['pwsh', '/usr/bin/pwsh', '/usr/local/bin/pwsh', '/opt/microsoft/powershell/7/pwsh', '/snap/bin/pwsh', 'powershell.exe'];
+
+/**
+ * Resolve a command the way the shell would: paths are checked as given,
+ * bare names are looked up on PATH (with PATHEXT on Windows).
+ */
+function findExecutable(command) {
+  const candidates = /[\\/]/.test(command)
+    ? [path.resolve(command)]
+    : (process.env.PATH || '').split(path.delimiter).filter(dir => dir).map(dir => path.join(dir, command));
+  const extensions = IS_WINDOWS ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')] : [''];
+
+  for (const candidate of candidates) {
+    for (const extension of extensions) {
+      const file = candidate + extension;
+      try {
+        fsSync.accessSync(file, IS_WINDOWS ? fsSync.constants.F_OK : fsSync.constants.X_OK);
+        if (fsSync.statSync(file).isFile()) {
+          return file;
+        }
+      } catch (e) {}
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the PowerShell interpreter. 'auto' tries pwsh, then powershell.exe;
+ * anything else is taken as the interpreter to use. Returns null when
+ * nothing is found, which hides the PowerShell tools.
+ */
+function detectPowerShell(setting) {
+  const candidates = setting === 'auto' ? POWERSHELL_CANDIDATES : [setting];
+  for (const candidate of candidates) {
+    const found = findExecutable(candidate);
+    if (found) {
+      return found;
+    }
+  }
+  log('warn', `No PowerShell interpreter found (${setting === 'auto' ? 'tried pwsh and powershell.exe' : `POWERSHELL_PATH=${setting}`}); PowerShell tools are disabled`);
+  return null;
+}
+
+const POWERSHELL_JSON_DEPTH_DEFAULT = 5;
+
+function quotePowerShell(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Wrap a command so its pipeline output is written to resultFile as JSON
+ * instead of printed. Host output (Write-Host) and errors still go to the
+ * streams, and the exit code is carried through.
+ */
+function wrapPowerShellForJson(body, resultFile, depth = POWERSHELL_JSON_DEPTH_DEFAULT) {
+  if (!Number.isInteger(depth) || depth < 1 || depth > 100) {
+    throw new Error('json_depth must be an integer from 1 to 100');
+  }
+  return `$__darksideOutput = @(& {
+${body}
+})
+$__darksideOk = $?
+try {
+    if ($__darksideOutput.Count -eq 0) {
+        $__darksideJson = 'null'
+    } elseif ($__darksideOutput.Count -eq 1) {
+        $__darksideJson = ConvertTo-Json -InputObject $__darksideOutput[0] -Depth ${depth} -Compress
+    } else {
+        $__darksideJson = ConvertTo-Json -InputObject $__darksideOutput -Depth ${depth} -Compress
+    }
+    $__darksideEnvelope = '{"value":' + $__darksideJson + '}'
+} catch {
+    $__darksideEnvelope = ConvertTo-Json -InputObject @{ error = "ConvertTo-Json failed: $_" } -Compress
+}
+[System.IO.File]::WriteAllText(${quotePowerShell(resultFile)}, $__darksideEnvelope)
+if ($LASTEXITCODE) { exit $LASTEXITCODE } elseif (-not $__darksideOk) { exit 1 }
+`;
+}
+
+/**
+ * Run a PowerShell command
+ * CRITICAL: stdin is 'ignore' or a private pipe, never MCP's own stdin
+ *
+ * NO SECURITY CHECKS - This is intentional.
+ * If you're using this MCP, you've chosen to trust your AI partner.
+ * The power is real. Use it wisely.
+ */
+async function runPowerShell(command, timeout = POWERSHELL_TIMEOUT, cwd = null, progress = null, outputFormat = 'text', jsonDepth = POWERSHELL_JSON_DEPTH_DEFAULT, limits = {}, input = null) {
+  if (!command || !command.trim()) {
+    throw new Error('Command cannot be empty');
+  }
+
+  // Validate timeout
+  const safeTimeout = Math.min(Math.max(timeout, 1000), POWERSHELL_MAX_TIMEOUT);
+
+  // Set working directory
+  const workDir = cwd ? validatePath(cwd, 'execute') : os.homedir();
+  const resultFile = structuredResultPath(outputFormat);
+  const script = resultFile ? wrapPowerShellForJson(command, resultFile, jsonDepth) : command;
+  const processLimits = resolveProcessLimits(limits);
+
+  log('info', `Running PowerShell command (timeout: ${safeTimeout}ms)`);
+
+  const result = await new Promise((resolve, reject) => {
+    const startTime = Date.now();
+
+    // PowerShell args for executing a command
+    // -NoProfile: Don't load profile (faster startup)
+    // -NonInteractive: No interactive prompts
+    // -ExecutionPolicy Bypass: Allow script execution
+    // -Command: The command to run
+    const psArgs = [
+      '-NoProfile',
+      '-NonInteractive',
+      '-ExecutionPolicy', 'Bypass',
+      '-Command', script
+    ];
+
+    // CRITICAL: stdio configuration for MCP safety
+    const proc = spawnProcessGroup(POWERSHELL_PATH, psArgs, {
+      cwd: workDir,
+      env: process.env,
+      stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      windowsHide: true
+    }, processLimits);
+    feedStdin(proc, input);
+
+    const output = createOutputCapture();
+    let killed = false;
+
+    // Timeout handler: the command and anything it started
+    const timeoutId = setTimeout(() => {
+      killed = true;
+      terminateProcessTree(proc);
+    }, safeTimeout);
+
+    proc.stdout.on('data', (data) => {
+      output.write('stdout', data);
+      if (progress) progress.output('stdout', data);
+    });
+
+    proc.stderr.on('data', (data) => {
+      output.write('stderr', data);
+      if (progress) progress.output('stderr', data);
+    });
+
+    proc.on('close', (code, signal) => {
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      const captured = output.finish();
+      const limitOutcome = describeLimitOutcome(processLimits, signal, captured.stderr, killed);
+
+      if (killed) {
+        resolve({
+          success: false,
+          exit_code: -1,
+          ...captured,
+          duration_ms: duration,
+          error: `Command killed after timeout (${safeTimeout}ms)`,
+          working_directory: workDir,
+          ...limitOutcome
+        });
+      } else {
+        log('info', `PowerShell completed with exit code ${code} in ${duration}ms`);
+        resolve({
+          success: code === 0,
+          exit_code: code,
+          ...captured,
+          duration_ms: duration,
+          working_directory: workDir,
+          ...limitOutcome
+        });
+      }
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      log('error', 'PowerShell error:', err);
+      resolve({
+        success: false,
+        exit_code: -1,
+        ...output.finish(),
+        duration_ms: duration,
+        error: err.message,
+        working_directory: workDir
+      });
+    });
+  });
+
+  if (resultFile) {
+    Object.assign(result, await readStructuredResult(resultFile));
+  }
+  return result;
+}
+
+/**
+ * Run a PowerShell script file
+ */
+async function runPowerShellScript(scriptPath, args = [], timeout = POWERSHELL_TIMEOUT, cwd = null, progress = null, outputFormat = 'text', jsonDepth = POWERSHELL_JSON_DEPTH_DEFAULT, limits = {}, input = null) {
+  const validated = validatePath(scriptPath, 'execute');
+
+  // Check file exists
+  if (!fsSync.existsSync(validated)) {
+    throw new Error(`Script not found: ${validated}`);
+  }
+
+  // Set working directory
+  const workDir = cwd ? validatePath(cwd, 'execute') : path.dirname(validated);
+
+  // Validate timeout
+  const safeTimeout = Math.min(Math.max(timeout, 1000), POWERSHELL_MAX_TIMEOUT);
+
+  // -File can't be wrapped, so JSON mode invokes the script from -Command
+  const resultFile = structuredResultPath(outputFormat);
+  const invocation = resultFile
+    ? ['-Command', wrapPowerShellForJson(`& ${[validated, ...args].map(quotePowerShell).join(' ')}`, resultFile, jsonDepth)]
+    : ['-File', validated, ...args];
+  const processLimits = resolveProcessLimits(limits);
+
+  log('info', `Running PowerShell script: ${validated} (timeout: ${safeTimeout}ms)`);
+
+  const result = await new Promise((resolve, reject) => {
+    const startTime = Date.now();
+
+    const psArgs = [
+      '-NoProfile',
+      '-NonInteractive',
+      '-ExecutionPolicy', 'Bypass',
+      ...invocation
+    ];
+
+    const proc = spawnProcessGroup(POWERSHELL_PATH, psArgs, {
+      cwd: workDir,
+      env: process.env,
+      stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      windowsHide: true
+    }, processLimits);
+    feedStdin(proc, input);
+
+    const output = createOutputCapture();
+    let killed = false;
+
+    const timeoutId = setTimeout(() => {
+      killed = true;
+      terminateProcessTree(proc);
+    }, safeTimeout);
+
+    proc.stdout.on('data', (data) => {
+      output.write('stdout', data);
+      if (progress) progress.output('stdout', data);
+    });
+
+    proc.stderr.on('data', (data) => {
+      output.write('stderr', data);
+      if (progress) progress.output('stderr', data);
+    });
+
+    proc.on('close', (code, signal) => {
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      const captured = output.finish();
+      const limitOutcome = describeLimitOutcome(processLimits, signal, captured.stderr, killed);
+
+      if (killed) {
+        resolve({
+          success: false,
+          exit_code: -1,
+          ...captured,
+          duration_ms: duration,
+          error: `Script killed after timeout (${safeTimeout}ms)`,
+          script_path: validated,
+          working_directory: workDir,
+          ...limitOutcome
+        });
+      } else {
+        log('info', `Script completed with exit code ${code} in ${duration}ms`);
+        resolve({
+          success: code === 0,
+          exit_code: code,
+          ...captured,
+          duration_ms: duration,
+          script_path: validated,
+          working_directory: workDir,
+          ...limitOutcome
+        });
+      }
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(timeoutId);
+      const duration = Date.now() - startTime;
+      log('error', 'PowerShell script error:', err);
+      resolve({
+        success: false,
+        exit_code: -1,
+        ...output.finish(),
+        duration_ms: duration,
+        error: err.message,
+        script_path: validated,
+        working_directory: workDir
+      });
+    });
+  });
+
+  if (resultFile) {
+    Object.assign(result, await readStructuredResult(resultFile));
+  }
+  return result;
+}
+
+/**
+ * Get PowerShell and system information
+ */
+async function getPowerShellInfo() {
+  // $IsWindows and friends only exist in PowerShell 6+; Windows PowerShell
+  // leaves them undefined. RuntimeInformation needs .NET 4.7.1 on 5.1.
+  const command = `
+$onWindows = if ($null -eq $IsWindows) { $true } else { $IsWindows }
+$info = [ordered]@{
+    PSVersion = $PSVersionTable.PSVersion.ToString()
+    PSEdition = $PSVersionTable.PSEdition
+    OS = if ($onWindows) { 'Windows' } elseif ($IsMacOS) { 'macOS' } else { 'Linux' }
+    OSDescription = $(try { [System.Runtime.InteropServices.RuntimeInformation]::OSDescription } catch { $null })
+    OSVersion = [System.Environment]::OSVersion.VersionString
+    Platform = [System.Environment]::OSVersion.Platform.ToString()
+    Architecture = $(try { [System.Runtime.InteropServices.RuntimeInformation]::OSArchitecture.ToString() } catch { $null })
+    MachineName = [System.Environment]::MachineName
+    UserName = [System.Environment]::UserName
+    HomeDirectory = [System.Environment]::GetFolderPath('UserProfile')
+    SystemDirectory = if ($onWindows) { [System.Environment]::SystemDirectory } else { $null }
+    ProcessorCount = [System.Environment]::ProcessorCount
+    Is64BitOS = [System.Environment]::Is64BitOperatingSystem
+    Is64BitProcess = [System.Environment]::Is64BitProcess
+    CurrentDirectory = Get-Location | Select-Object -ExpandProperty Path
+}
+$info | ConvertTo-Json
+`;
+
+  const result = await runPowerShell(command, 10000);
+
+  if (result.success) {
+    try {
+      return {
+        ...JSON.parse(result.stdout.trim()),
+        Interpreter: POWERSHELL_PATH
+      };
+    } catch (e) {
+      return { error: 'Failed to parse PowerShell info', raw: result.stdout };
+    }
+  } else {
+    return { error: result.stderr || result.error };
+  }
+}
+
+// ============================================================================
+// BACKGROUND JOBS - Detached script runs with rotating output logs
+// ============================================================================
+
+const JOB_OUTPUT_DEFAULT_BYTES = 65536;
+const jobs = new Map();
+let jobsLoaded = false;
+
+/**
+ * Append-only log that rotates to name.1, name.2, ... once the current file
+ * reaches maxBytes. `written` counts every byte ever written, so readers can
+ * use absolute offsets that stay valid across rotations.
+ */
+function createRotatingLog(filePath, maxBytes, files) {
+  const fd = fsSync.openSync(filePath, 'a');
+  const rotating = {
+    path: filePath,
+    written: 0,
+    currentSize: fsSync.fstatSync(fd).size,
+    fd: fd
+  };
+
+  rotating.write = (data) => {
+    if (rotating.currentSize > 0 && rotating.currentSize + data.length > maxBytes) {
+      fsSync.closeSync(rotating.fd);
+      for (let i = files - 1; i >= 1; i--) {
+        const from = i === 1 ? filePath : `${filePath}.${i - 1}`;
+        if (fsSync.existsSync(from)) {
+          fsSync.renameSync(from, `${filePath}.${i}`);
+        }
+      }
+      if (files === 1) {
+        fsSync.rmSync(filePath, { force: true });
+      }
+      rotating.fd = fsSync.openSync(filePath, 'a');
+      rotating.currentSize = 0;
+    }
+    fsSync.writeSync(rotating.fd, data);
+    rotating.written += data.length;
+    rotating.currentSize += data.length;
+  };
+
+  rotating.close = () => {
+    fsSync.closeSync(rotating.fd);
+  };
+
+  return rotating;
+}
+
+/**
+ * Length of the longest prefix of buf that doesn't end inside a UTF-8 sequence
+ */
+function utf8CompleteLength(buf) {
+  for (let back = 1; back <= Math.min(3, buf.length); back++) {
+    const byte = buf[buf.length - back];
+    if ((byte & 0xC0) === 0x80) {
+      continue;
+    }
+    const needed = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : byte >= 0xC0 ? 2 : 1;
+    return needed > back ? buf.length - back : buf.length;
+  }
+  return buf.length;
+}
+
+function describeJob(job) {
+  return {
+    job_id: job.id,
+    kind: job.kind,
+    script_path: job.script_path,
+    args: job.args,
+    working_directory: job.working_directory,
+    pid: job.pid,
+    status: job.status,
+    exit_code: job.exit_code,
+    signal: job.signal,
+    error: job.error,
+    limits: job.processLimits || job.limits || {},
+    limit_exceeded: job.limit_exceeded || null,
+    started: job.started,
+    ended: job.ended,
+    duration_ms: (job.ended ? Date.parse(job.ended) : Date.now()) - Date.parse(job.started),
+    stdout_bytes: job.logs ? job.logs.stdout.written : job.stdout_bytes,
+    stderr_bytes: job.logs ? job.logs.stderr.written : job.stderr_bytes,
+    log_dir: job.dir
+  };
+}
+
+function saveJob(job) {
+  const record = describeJob(job);
+  delete record.duration_ms;
+  fsSync.writeFileSync(path.join(job.dir, 'job.json'), JSON.stringify(record, null, 2), 'utf8');
+}
+
+/**
+ * Pick up jobs recorded by earlier server runs. Any still marked running
+ * lost their output pipe when that server exited.
+ */
+function loadPreviousJobs() {
+  if (jobsLoaded) {
+    return;
+  }
+  jobsLoaded = true;
+  if (!fsSync.existsSync(JOBS_DIR)) {
+    return;
+  }
+  for (const entry of fsSync.readdirSync(JOBS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || jobs.has(entry.name)) {
+      continue;
+    }
+    try {
+      const record = JSON.parse(fsSync.readFileSync(path.join(JOBS_DIR, entry.name, 'job.json'), 'utf8'));
+      const job = {
+        ...record,
+        id: record.job_id,
+        dir: path.join(JOBS_DIR, entry.name),
+        logs: null
+      };
+      if (job.status === 'running') {
+        job.status = 'lost';
+        job.error = 'Server exited while the job was running';
+      }
+      jobs.set(job.id, job);
+    } catch (e) {
+      log('warn', `Skipping unreadable job record in ${entry.name}: ${e.message}`);
+    }
+  }
+}
+
+function getJob(jobId) {
+  loadPreviousJobs();
+  const job = jobs.get(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+  return job;
+}
+
+async function startJob(scriptPath, args = [], kind = null, cwd = null, env = {}, maxRuntime = 0, limits = {}) {
+  const validated = validatePath(scriptPath, 'execute');
+  if (!fsSync.existsSync(validated)) {
+    throw new Error(`Script not found: ${validated}`);
+  }
+  const workDir = cwd ? validatePath(cwd, 'execute') : path.dirname(validated);
+  const jobKind = kind || (path.extname(validated).toLowerCase() === '.ps1' ? 'powershell' : 'python');
+  if (jobKind !== 'python' && jobKind !== 'powershell') {
+    throw new Error(`Unknown job kind: ${jobKind} (expected python or powershell)`);
+  }
+  if (jobKind === 'powershell' && !POWERSHELL_PATH) {
+    throw new Error(`Cannot start a PowerShell job: ${toolUnavailableReason('run_powershell')}`);
+  }
+
+  if (jobKind === 'python' && PYTHON_SAFETY_CHECK_SCRIPTS) {
+    await enforcePythonSafety(await fs.readFile(validated, 'utf8'));
+  }
+
+  loadPreviousJobs();
+  const running = [...jobs.values()].filter(j => j.status === 'running').length;
+  if (running >= JOBS_MAX_RUNNING) {
+    throw new Error(`Job limit reached (${JOBS_MAX_RUNNING} running); wait for one to finish or kill it`);
+  }
+
+  const id = `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const dir = path.join(JOBS_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const processLimits = resolveProcessLimits(limits);
+  const [command, commandArgs, procEnv] = jobKind === 'python'
+    ? [PYTHON_PATH, [validated, ...args], { ...process.env, PYTHONUNBUFFERED: '1', PYTHONDONTWRITEBYTECODE: '1', ...env }]
+    : [POWERSHELL_PATH, ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-File', validated, ...args], { ...process.env, ...env }];
+
+  log('info', `Starting ${jobKind} job ${id}: ${validated}`);
+
+  const proc = spawnProcessGroup(command, commandArgs, {
+    cwd: workDir,
+    env: procEnv,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    windowsHide: true
+  }, processLimits);
+
+  const job = {
+    id: id,
+    kind: jobKind,
+    script_path: validated,
+    args: args,
+    working_directory: workDir,
+    pid: proc.pid || null,
+    status: 'running',
+    exit_code: null,
+    signal: null,
+    error: null,
+    started: new Date().toISOString(),
+    ended: null,
+    dir: dir,
+    proc: proc,
+    killRequested: false,
+    processLimits: processLimits,
+    stderrTail: '',
+    logs: {
+      stdout: createRotatingLog(path.join(dir, 'stdout.log'), JOB_LOG_MAX_BYTES, JOB_LOG_FILES),
+      stderr: createRotatingLog(path.join(dir, 'stderr.log'), JOB_LOG_MAX_BYTES, JOB_LOG_FILES)
+    }
+  };
+  jobs.set(id, job);
+
+  proc.stdout.on('data', (data) => job.logs.stdout.write(data));
+  proc.stderr.on('data', (data) => {
+    job.logs.stderr.write(data);
+    // Enough to recognise a resource limit in the last error message
+    job.stderrTail = (job.stderrTail + data.toString('utf8')).slice(-4096);
+  });
+
+  let runtimeTimer = null;
+  if (maxRuntime > 0) {
+    runtimeTimer = setTimeout(() => {
+      job.timedOut = true;
+      terminateJob(job);
+    }, maxRuntime);
+  }
+
+  const finish = (fields) => {
+    if (job.status !== 'running') {
+      return;
+    }
+    clearTimeout(runtimeTimer);
+    Object.assign(job, fields, { ended: new Date().toISOString(), proc: null });
+    job.stdout_bytes = job.logs.stdout.written;
+    job.stderr_bytes = job.logs.stderr.written;
+    job.logs.stdout.close();
+    job.logs.stderr.close();
+    saveJob(job);
+    log('info', `Job ${id} finished: ${job.status}`);
+  };
+
+  proc.on('close', (code, signal) => {
+    const limitOutcome = describeLimitOutcome(processLimits, signal, job.stderrTail, job.timedOut || job.killRequested);
+    finish({
+      status: job.timedOut ? 'timeout' : job.killRequested ? 'killed' : code === 0 ? 'succeeded' : 'failed',
+      exit_code: code,
+      signal: signal,
+      limit_exceeded: limitOutcome.limit_exceeded || null,
+      error: limitOutcome.error || null
+    });
+  });
+
+  proc.on('error', (err) => {
+    log('error', `Job ${id} error:`, err);
+    finish({ status: 'failed', error: err.message });
+  });
+
+  saveJob(job);
+
+  return {
+    success: true,
+    ...describeJob(job)
+  };
+}
+
+function terminateJob(job) {
+  terminateProcessTree(job.proc);
+}
+
+async function jobStatus(jobId) {
+  return {
+    success: true,
+    ...describeJob(getJob(jobId))
+  };
+}
+
+/**
+ * Segments of a rotated log, oldest first, with their absolute start offsets
+ */
+function jobLogSegments(basePath, written) {
+  const segments = [];
+  let end = written;
+  const names = [basePath];
+  for (let i = 1; fsSync.existsSync(`${basePath}.${i}`); i++) {
+    names.push(`${basePath}.${i}`);
+  }
+  for (const name of names) {
+    if (!fsSync.existsSync(name)) {
+      continue;
+    }
+    const size = fsSync.statSync(name).size;
+    segments.unshift({ path: name, start: end - size, size: size });
+    end -= size;
+  }
+  return segments;
+}
+
+/**
+ * Read a job's output from an absolute byte offset. Pass the returned
+ * next_offset back in to read only what arrived since.
+ */
+async function jobOutput(jobId, stream = 'stdout', offset = 0, maxBytes = JOB_OUTPUT_DEFAULT_BYTES) {
+  const job = getJob(jobId);
+  if (stream !== 'stdout' && stream !== 'stderr') {
+    throw new Error(`stream must be 'stdout' or 'stderr'`);
+  }
+
+  const basePath = path.join(job.dir, `${stream}.log`);
+  const written = job.logs ? job.logs[stream].written : (job[`${stream}_bytes`] || 0);
+  const segments = jobLogSegments(basePath, written);
+  const available = segments.length > 0 ? segments[0].start : written;
+  const start = Math.min(Math.max(offset, available), written);
+
+  const chunks = [];
+  let remaining = Math.max(1, Math.min(maxBytes, READ_MAX_BYTES));
+  let position = start;
+  for (const segment of segments) {
+    if (remaining <= 0 || position >= segment.start + segment.size) {
+      continue;
+    }
+    const length = Math.min(segment.start + segment.size - position, remaining);
+    chunks.push(await readFileRange(segment.path, position - segment.start, length));
+    position += length;
+    remaining -= length;
+  }
+
+  const buffer = Buffer.concat(chunks);
+  const complete = utf8CompleteLength(buffer);
+  const nextOffset = start + complete;
+
+  return {
+    success: true,
+    job_id: jobId,
+    stream: stream,
+    status: job.status,
+    offset: start,
+    skipped_bytes: Math.max(0, start - offset),
+    content: buffer.subarray(0, complete).toString('utf8'),
+    next_offset: nextOffset,
+    total_bytes: written,
+    eof: nextOffset >= written
+  };
+}
+
+async function listJobs(status = null) {
+  loadPreviousJobs();
+  const all = [...jobs.values()]
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => b.started.localeCompare(a.started))
+    .map(describeJob);
+  return {
+    success: true,
+    jobs: all,
+    count: all.length,
+    running: all.filter(job => job.status === 'running').length,
+    max_running: JOBS_MAX_RUNNING
+  };
+}
+
+async function killJob(jobId) {
+  const job = getJob(jobId);
+  if (job.status !== 'running' || !job.proc) {
+    return {
+      success: true,
+      killed: false,
+      message: `Job is not running (${job.status})`,
+      ...describeJob(job)
+    };
+  }
+
+  log('info', `Killing job ${jobId}`);
+  job.killRequested = true;
+  const closed = new Promise((resolve) => job.proc.once('close', resolve));
+  terminateJob(job);
+  await closed;
+
+  return {
+    success: true,
+    killed: true,
+    ...describeJob(job)
+  };
+}
+
+// ============================================================================
+// RESOURCES - Files under the allowed roots as MCP resources
+// ============================================================================
+
+const RESOURCE_PAGE_SIZE = 200;
+const RESOURCE_SKIP_DIRS = ['.git', 'node_modules', '__pycache__'];
+
+/**
+ * Readable files under one directory: its own files in name order, then
+ * each subdirectory in turn. `after` is the path, relative to dir, of the
+ * last file already listed; everything up to it is skipped without being
+ * read.
+ */
+async function* walkResourceDir(dir, after = null) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  const [first, ...rest] = after || [];
+  const resumeIn = after && rest.length > 0 ? first : null;
+  if (resumeIn === null) {
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isFile() && (!after || entry.name > first) && isPathAllowed(fullPath)) {
+        yield fullPath;
+      }
+    }
+  }
+  for (const entry of entries) {
+    if (!entry.isDirectory() || RESOURCE_SKIP_DIRS.includes(entry.name) || (resumeIn !== null && entry.name < resumeIn)) {
+      continue;
+    }
+    yield* walkResourceDir(path.join(dir, entry.name), entry.name === resumeIn ? rest : null);
+  }
+}
+
+/**
+ * Every readable file under the ALLOWED_PATHS roots, in a stable order,
+ * starting after the file `after` when given. Whole drives are left out:
+ * far too big to enumerate, but their files are still reachable through
+ * the file:// template. A root nested in another is already covered by
+ * the outer walk, unless it sits in a skipped directory.
+ */
+async function* walkResourceFiles(after = null) {
+  const readable = PATH_ROOTS
+    .filter(root => !root.drive && root.access.includes(ACCESS_FLAGS.read))
+    .map(root => root.path)
+    .sort();
+  const roots = readable.filter(root => !readable.some(outer => outer !== root && isInsideRoot(root, outer) &&
+    !path.relative(outer, root).split(path.sep).some(part => RESOURCE_SKIP_DIRS.includes(part))));
+
+  let start = 0;
+  if (after) {
+    start = roots.findIndex(root => isInsideRoot(after, root));
+    if (start === -1) {
+      throw new Error(`Invalid cursor: ${after} is not under an allowed root`);
+    }
+  }
+  for (let i = start; i < roots.length; i++) {
+    yield* walkResourceDir(roots[i], after && i === start ? path.relative(roots[i], after).split(path.sep) : null);
+  }
+}
+
+/**
+ * One page of resources. The cursor encodes the last file listed, so the
+ * next page resumes the walk right after it instead of walking every file
+ * before it again.
+ */
+async function listResources(cursor = null) {
+  let after = null;
+  if (cursor) {
+    after = Buffer.from(cursor, 'base64url').toString('utf8');
+    if (!path.isAbsolute(after)) {
+      throw new Error(`Invalid cursor: ${cursor}`);
+    }
+  }
+
+  const resources = [];
+  let last = null;
+  let more = false;
+  for await (const filePath of walkResourceFiles(after)) {
+    if (resources.length === RESOURCE_PAGE_SIZE) {
+      more = true;
+      break;
+    }
+    last = filePath;
+    let size;
+    try {
+      size = (await fs.stat(filePath)).size;
+    } catch (e) {
+      continue;
+    }
+    // Listing goes by extension only; reads sniff the content
+    const mimeType = EXTENSION_MIME_TYPES[path.extname(filePath).toLowerCase()];
+    resources.push({
+      uri: pathToFileURL(filePath).href,
+      name: filePath,
+      ...(mimeType ? { mimeType: mimeType } : {}),
+      size: size
+    });
+  }
+
+  return more
+    ? { resources: resources, nextCursor: Buffer.from(last, 'utf8').toString('base64url') }
+    : { resources: resources };
+}
+
+/**
+ * Accept standard file:///abs/path URIs as well as what a client makes of
+ * the file://{path} template, e.g. file://C:/Projects/a.txt.
+ */
+function resourceUriToPath(uri) {
+  if (!uri.startsWith('file://')) {
+    throw new Error(`Unsupported resource URI (expected file://): ${uri}`);
+  }
+  let filePath = decodeURIComponent(uri.slice('file://'.length).replace(/[?#].*$/, ''));
+  if (filePath.startsWith('localhost/')) {
+    filePath = filePath.slice('localhost'.length);
+  }
+  if (/^\/[A-Za-z]:[\\/]/.test(filePath)) {
+    filePath = filePath.slice(1);
+  }
+  return filePath;
+}
+
+/**
+ * Read a file resource under the same policy as read_file. Text comes back
+ * as text, anything binary as a base64 blob, with a sniffed MIME type.
+ */
+async function readResource(uri) {
+  const validated = validatePath(resourceUriToPath(uri));
+  const stats = await fs.stat(validated);
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${validated}`);
+  }
+  if (stats.size > READ_MAX_BYTES) {
+    throw new Error(`File is ${stats.size} bytes, over the ${READ_MAX_BYTES} byte limit for a resource read; use read_file with a range`);
+  }
+
+  const buffer = await fs.readFile(validated);
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  const mimeType = sniffMimeType(sample, validated);
+  log('info', `Read resource: ${validated} (${mimeType})`);
+
+  const content = { uri: uri, mimeType: mimeType };
+  if (isBinaryBuffer(sample)) {
+    content.blob = buffer.toString('base64');
+  } else {
+    content.text = buffer.toString('utf8');
+  }
+  return { contents: [content] };
+}
+
+// ============================================================================
+// FILE WATCHING - Change events instead of polling
+// ============================================================================
+
+const WATCH_MAX_WATCHERS = 16;
+const WATCH_QUEUE_MAX = 10000;
+const WATCH_DEFAULT_DEBOUNCE = 250;
+const WATCH_WAIT_MAX = 300000;
+const WATCH_NOTIFY_MODES = ['log', 'resource', 'none'];
+const WATCH_FALLBACK_MAX_DIRS = 2000;
+
+const watchers = new Map();
+const watchEvents = [];
+const watchWaiters = new Set();
+let watchSeq = 0;
+
+// Set by main(); change notifications go out through it
+let mcpServer = null;
+
+function describeWatcher(watcher) {
+  return {
+    watch_id: watcher.id,
+    path: watcher.path,
+    patterns: watcher.patterns,
+    ignore: watcher.ignore,
+    recursive: watcher.recursive,
+    debounce_ms: watcher.debounce,
+    notify: watcher.notify,
+    events: watcher.eventCount,
+    started: new Date(watcher.started).toISOString(),
+    error: watcher.error
+  };
+}
+
+function watchMatches(watcher, relative) {
+  const options = { dot: true, matchBase: true };
+  if (watcher.patterns.length > 0 && !watcher.patterns.some(p => minimatch(relative, p, options))) {
+    return false;
+  }
+  return !watcher.ignore.some(p => minimatch(relative, p, options));
+}
+
+function notifyWatchEvent(watcher, event) {
+  if (!mcpServer || watcher.notify === 'none') {
+    return;
+  }
+  const sent = watcher.notify === 'resource'
+    ? mcpServer.sendResourceUpdated({ uri: pathToFileURL(event.path).href })
+    : mcpServer.sendLoggingMessage({ level: 'info', logger: 'darkside.watch', data: event });
+  sent.catch(err => log('warn', 'Watch notification failed:', err.message));
+}
+
+/**
+ * Debounce raw fs.watch events per path before they become queued events
+ */
+function queueWatchChange(watcher, eventType, filePath) {
+  const relative = path.relative(watcher.baseDir, filePath).split(path.sep).join('/');
+  if (!watchMatches(watcher, relative)) {
+    return;
+  }
+  const pending = watcher.pending.get(filePath) || { renamed: false, timer: null };
+  pending.renamed = pending.renamed || eventType === 'rename';
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => {
+    watcher.pending.delete(filePath);
+    emitWatchEvent(watcher, filePath, pending.renamed);
+  }, watcher.debounce);
+  watcher.pending.set(filePath, pending);
+}
+
+/**
+ * Recursive fs.watch needs Node 19.1+ on Linux. Before that, every directory
+ * gets a watch of its own, and a rename re-syncs the watches below that path
+ * so directories created, moved or deleted later are followed.
+ */
+function watchDirectoryTree(watcher, dir) {
+  for (const [watched, handle] of watcher.handles) {
+    if (isInsideRoot(watched, dir)) {
+      handle.close();
+      watcher.handles.delete(watched);
+    }
+  }
+
+  const stack = [dir];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    let entries;
+    try {
+      entries = fsSync.readdirSync(current, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    if (watcher.handles.size >= WATCH_FALLBACK_MAX_DIRS) {
+      throw new Error(`Too many directories to watch recursively on this Node version (max ${WATCH_FALLBACK_MAX_DIRS}); watch a subdirectory or pass recursive: false`);
+    }
+    const handle = fsSync.watch(current, (eventType, filename) => {
+      if (!fsSync.existsSync(current)) {
+        // The directory itself went away; its parent's watch reports that
+        handle.close();
+        watcher.handles.delete(current);
+        return;
+      }
+      const filePath = filename ? path.join(current, filename.toString()) : current;
+      queueWatchChange(watcher, eventType, filePath);
+      if (eventType === 'rename' && filename) {
+        try {
+          watchDirectoryTree(watcher, filePath);
+        } catch (err) {
+          log('warn', `Watcher ${watcher.id}:`, err.message);
+          watcher.error = err.message;
+        }
+      }
+    });
+    // A watched directory that goes away only loses its own watch
+    handle.on('error', () => {
+      handle.close();
+      watcher.handles.delete(current);
+    });
+    handle.unref();
+    watcher.handles.set(current, handle);
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        stack.push(path.join(current, entry.name));
+      }
+    }
+  }
+}
+
+/**
+ * Queue a debounced change. A rename means the file appeared or went away,
+ * so it's classified by whether the path exists now.
+ */
+async function emitWatchEvent(watcher, filePath, renamed) {
+  let stats = null;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (e) {}
+
+  if (!isPathAllowed(filePath)) {
+    return;
+  }
+
+  const event = {
+    seq: ++watchSeq,
+    watch_id: watcher.id,
+    type: !stats ? 'deleted' : renamed ? 'created' : 'modified',
+    path: filePath,
+    is_directory: stats ? stats.isDirectory() : null,
+    size: stats && stats.isFile() ? stats.size : null,
+    time: new Date().toISOString()
+  };
+
+  watcher.eventCount++;
+  watchEvents.push(event);
+  if (watchEvents.length > WATCH_QUEUE_MAX) {
+    watchEvents.shift();
+  }
+  for (const wake of watchWaiters) {
+    wake();
+  }
+  notifyWatchEvent(watcher, event);
+}
+
+/**
+ * Watch a file or directory. Changes are debounced per path, filtered by
+ * glob (matched against the path relative to the watched directory, or the
+ * file name for patterns without a slash) and queued for get_changes.
+ */
+async function watchPath(targetPath, options = {}) {
+  try {
+    const validated = validatePath(targetPath);
+    const stats = await fs.stat(validated);
+    const notify = options.notify || 'log';
+    if (!WATCH_NOTIFY_MODES.includes(notify)) {
+      throw new Error(`notify must be one of ${WATCH_NOTIFY_MODES.join(', ')}`);
+    }
+    if (watchers.size >= WATCH_MAX_WATCHERS) {
+      throw new Error(`Watch limit reached (${WATCH_MAX_WATCHERS}); remove one with unwatch_path first`);
+    }
+
+    const watcher = {
+      id: `watch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      path: validated,
+      patterns: options.patterns || [],
+      ignore: options.ignore || [],
+      recursive: stats.isDirectory() && options.recursive !== false,
+      debounce: Math.max(0, options.debounceMs ?? WATCH_DEFAULT_DEBOUNCE),
+      notify: notify,
+      pending: new Map(),
+      handles: new Map(),
+      baseDir: stats.isDirectory() ? validated : path.dirname(validated),
+      eventCount: 0,
+      started: Date.now(),
+      error: null
+    };
+
+    try {
+      const handle = fsSync.watch(validated, { recursive: watcher.recursive }, (eventType, filename) => {
+        queueWatchChange(watcher, eventType, filename ? path.join(watcher.baseDir, filename.toString()) : validated);
+      });
+      handle.on('error', (err) => {
+        log('warn', `Watcher ${watcher.id} stopped:`, err.message);
+        watcher.error = err.message;
+        closeWatcher(watcher);
+      });
+      handle.unref();
+      watcher.handles.set(validated, handle);
+    } catch (err) {
+      if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw err;
+      }
+      try {
+        watchDirectoryTree(watcher, validated);
+      } catch (fallbackErr) {
+        closeWatcher(watcher);
+        throw fallbackErr;
+      }
+    }
+
+    watchers.set(watcher.id, watcher);
+    log('info', `Watching ${validated} as ${watcher.id}${watcher.recursive ? ` (recursive, ${watcher.handles.size} watches)` : ''}`);
+
+    return {
+      success: true,
+      ...describeWatcher(watcher),
+      cursor: watchSeq
+    };
+  } catch (error) {
+    log('error', 'Watch path error:', error);
+    throw error;
+  }
+}
+
+function closeWatcher(watcher) {
+  for (const handle of watcher.handles.values()) {
+    handle.close();
+  }
+  watcher.handles.clear();
+  for (const pending of watcher.pending.values()) {
+    clearTimeout(pending.timer);
+  }
+  watcher.pending.clear();
+  watchers.delete(watcher.id);
+}
+
+async function unwatchPath(watchId) {
+  const watcher = watchers.get(watchId);
+  if (!watcher) {
+    throw new Error(`Watcher not found: ${watchId}`);
+  }
+  closeWatcher(watcher);
+  log('info', `Stopped watching ${watcher.path} (${watchId})`);
+
+  return {
+    success: true,
+    ...describeWatcher(watcher)
+  };
+}
+
+/**
+ * Events after `cursor`, optionally for one watcher. With wait_ms, blocks
+ * until something arrives or the wait runs out, so agents can wait for a
+ * build output without polling.
+ */
+async function getChanges(cursor = 0, watchId = null, waitMs = 0, limit = 500) {
+  if (watchId && !watchers.has(watchId) && !watchEvents.some(e => e.watch_id === watchId)) {
+    throw new Error(`Watcher not found: ${watchId}`);
+  }
+
+  const pick = () => watchEvents.filter(e => e.seq > cursor && (!watchId || e.watch_id === watchId));
+  let events = pick();
+
+  if (events.length === 0 && waitMs > 0) {
+    await new Promise((resolve) => {
+      const timer = setTimeout(done, Math.min(waitMs, WATCH_WAIT_MAX));
+      function done() {
+        clearTimeout(timer);
+        watchWaiters.delete(check);
+        resolve();
+      }
+      function check() {
+        if (pick().length > 0) {
+          done();
+        }
+      }
+      watchWaiters.add(check);
+    });
+    events = pick();
+  }
+
+  const oldest = watchEvents.length > 0 ? watchEvents[0].seq : watchSeq + 1;
+  const returned = events.slice(0, Math.max(1, limit));
+
+  return {
+    success: true,
+    events: returned,
+    cursor: returned.length > 0 ? returned[returned.length - 1].seq : Math.max(cursor, watchSeq),
+    more: events.length > returned.length,
+    missed: Math.max(0, oldest - cursor - 1),
+    watchers: [...watchers.values()].map(describeWatcher)
+  };
+}
+
+// ============================================================================
+// AUDIT LOG - Append-only JSONL record of every tool call
+// ============================================================================
+
+const AUDIT_MAX_STRING = 4096;
+const AUDIT_QUERY_DEFAULT_LIMIT = 100;
+
+// Argument and result keys that name files or directories the call touched.
+// Results add what the arguments don't say, like where a backup went.
+const AUDIT_ARG_PATH_KEYS = [
+  'path', 'other_path', 'left', 'right', 'source', 'sources', 'destination', 'script_path', 'cwd', 'directory', 'target_path', 'venv', 'requirements', 'wheelhouse'
+];
+const AUDIT_RESULT_PATH_KEYS = ['restored_to', 'original_path', 'backup_path'];
+
+let auditLog = null;
+
+function getAuditLog() {
+  if (auditLog && auditLog.path !== AUDIT_LOG_FILE) {
+    auditLog.close();
+    auditLog = null;
+  }
+  if (!auditLog) {
+    fsSync.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    auditLog = createRotatingLog(AUDIT_LOG_FILE, AUDIT_LOG_MAX_BYTES, AUDIT_LOG_FILES);
+  }
+  return auditLog;
+}
+
+function isSecretKey(key) {
+  return AUDIT_REDACT_KEYS.some(pattern => minimatch(key, pattern, { nocase: true }));
+}
+
+/**
+ * Copy tool arguments for the log: values under secret-looking keys are
+ * replaced (at any depth, so env vars are covered) and long strings such as
+ * file contents are clipped.
+ */
+function redactForAudit(value, key = null) {
+  if (key !== null && isSecretKey(key)) {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string') {
+    return value.length > AUDIT_MAX_STRING
+      ? `${value.slice(0, AUDIT_MAX_STRING)}... [${value.length} chars]`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactForAudit(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactForAudit(v, k)]));
+  }
+  return value;
+}
+
+function auditPaths(args, result) {
+  const paths = new Set();
+  for (const [source, keys] of [[args, AUDIT_ARG_PATH_KEYS], [result, AUDIT_RESULT_PATH_KEYS]]) {
+    if (!source || typeof source !== 'object') {
+      continue;
+    }
+    for (const key of keys) {
+      for (const value of [source[key]].flat()) {
+        if (typeof value === 'string' && value) {
+          paths.add(path.resolve(value));
+        }
+      }
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Record one tool call. Never throws: a full disk must not break the tool.
+ */
+function auditToolCall(name, args, startTime, result, error) {
+  if (!AUDIT_ENABLED) {
+    return;
+  }
+  const entry = {
+    ts: new Date(startTime).toISOString(),
+    tool: name,
+    args: redactForAudit(args),
+    paths: auditPaths(args, result),
+    success: !error && !(result && result.success === false),
+    exit_code: result && result.exit_code !== undefined ? result.exit_code : null,
+    duration_ms: Date.now() - startTime,
+    error: error ? error.message : (result && result.error) || null
+  };
+  try {
+    getAuditLog().write(Buffer.from(JSON.stringify(entry) + '\n', 'utf8'));
+  } catch (e) {
+    log('error', 'Audit log write failed:', e.message);
+  }
+}
+
+/**
+ * Search the audit log, oldest rotated file first. Returns the newest
+ * `limit` matches in chronological order.
+ */
+async function queryAuditLog(options = {}) {
+  const since = options.since ? Date.parse(options.since) : null;
+  const until = options.until ? Date.parse(options.until) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    throw new Error('since and until must be ISO 8601 timestamps');
+  }
+  const filterPath = options.path ? path.resolve(options.path) : null;
+  const limit = Math.max(1, options.limit || AUDIT_QUERY_DEFAULT_LIMIT);
+
+  const files = [];
+  for (let i = AUDIT_LOG_FILES - 1; i >= 1; i--) {
+    files.push(`${AUDIT_LOG_FILE}.${i}`);
+  }
+  files.push(AUDIT_LOG_FILE);
+
+  const matches = [];
+  let scanned = 0;
+  for (const file of files.filter(f => fsSync.existsSync(f))) {
+    const lines = readline.createInterface({ input: fsSync.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      scanned++;
+      const time = Date.parse(entry.ts);
+      if ((since !== null && time < since) || (until !== null && time > until)) {
+        continue;
+      }
+      if (options.tool && !minimatch(entry.tool, options.tool)) {
+        continue;
+      }
+      if (options.errorsOnly && entry.success) {
+        continue;
+      }
+      if (filterPath && !(entry.paths || []).some(p => isInsideRoot(toComparablePath(p), toComparablePath(filterPath)))) {
+        continue;
+      }
+      matches.push(entry);
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+  }
+
+  return {
+    success: true,
+    log_file: AUDIT_LOG_FILE,
+    entries: matches,
+    count: matches.length,
+    scanned: scanned
+  };
+}
+
+// ============================================================================
+// APPROVAL MODE - Dry-run plans and one-time confirmation tokens
+// ============================================================================
+
+const FILE_APPROVAL_TOOLS = ['write_file', 'edit_file', 'delete_file'];
+const pendingApprovals = new Map();
+
+function requiresApproval(name) {
+  return APPROVAL_ENABLED && APPROVAL_TOOLS.some(pattern => minimatch(name, pattern));
+}
+
+/**
+ * Add the confirm_token argument to tools that need approval
+ */
+function withApprovalArgument(tool) {
+  if (!requiresApproval(tool.name)) {
+    return tool;
+  }
+  return {
+    ...tool,
+    description: `${tool.description} Approval mode: the first call returns a plan and a confirm_token; repeat the call with it to run.`,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        confirm_token: {
+          type: "string",
+          description: "One-time token from this call's plan. Arguments must be unchanged."
+        }
+      }
+    }
+  };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashApprovalArgs(name, args) {
+  const { confirm_token: _token, ...rest } = args;
+  return createHash('sha256').update(`${name}\n${canonicalJson(rest)}`).digest('hex');
+}
+
+/**
+ * What a file tool's plan was based on, so a confirm after the file
+ * changed underneath is refused instead of acting on a stale diff.
+ */
+async function approvalFingerprint(name, args) {
+  if (!FILE_APPROVAL_TOOLS.includes(name)) {
+    return null;
+  }
+  try {
+    const content = await fs.readFile(validatePath(args.path, 'write'));
+    return createHash('sha256').update(content).digest('hex');
+  } catch (e) {
+    return 'missing';
+  }
+}
+
+/**
+ * Describe what a call would do, without doing it
+ */
+async function buildApprovalPlan(name, args) {
+  switch (name) {
+    case 'write_file': {
+      const validated = validatePath(args.path, 'write');
+      const exists = fsSync.existsSync(validated);
+      const content = Buffer.from(args.content || '', 'utf8');
+      const current = exists ? await fs.readFile(validated) : Buffer.alloc(0);
+      const summary = summarizeLargeDiff(current, content);
+      const plan = {
+        action: exists ? 'overwrite file' : 'create file',
+        path: validated,
+        size: content.length,
+        diff: summary ? null : createUnifiedDiff(current.toString('utf8'), content.toString('utf8'), validated, validated),
+        backup: exists && args.create_backup !== false
+      };
+      if (summary) {
+        plan.old = summary.old;
+        plan.new = summary.new;
+      }
+      return plan;
+    }
+    case 'edit_file': {
+      const preview = await editFile(args.path, args.edits || null, args.patch || null, false, true);
+      return {
+        action: 'edit file',
+        path: preview.path,
+        diff: preview.diff,
+        backup: args.create_backup !== false
+      };
+    }
+    case 'delete_file': {
+      const validated = validatePath(args.path, 'write');
+      const stats = await fs.stat(validated);
+      return {
+        action: 'delete file',
+        path: validated,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        backup: args.create_backup !== false
+      };
+    }
+    case 'delete_directory': {
+      const validated = validatePath(args.path, 'write');
+      const entries = await listTree(validated);
+      return {
+        action: 'delete directory',
+        path: validated,
+        files: entries.filter(e => e.type === 'file').length,
+        bytes: entries.reduce((sum, e) => sum + e.size, 0),
+        backup: args.create_backup !== false
+      };
+    }
+    case 'move_path':
+    case 'copy_path':
+      return {
+        action: name === 'move_path' ? 'move' : 'copy',
+        source: validatePath(args.source, name === 'move_path' ? 'write' : 'read'),
+        destination: validatePath(args.destination, 'write'),
+        destination_exists: fsSync.existsSync(path.resolve(args.destination)),
+        overwrite: args.overwrite ?? (name === 'move_path' ? false : 'error')
+      };
+    case 'run_powershell':
+      return {
+        action: 'run PowerShell command',
+        command: args.command,
+        cwd: args.cwd ? validatePath(args.cwd, 'execute') : os.homedir()
+      };
+    case 'run_python_script':
+    case 'run_powershell_script':
+    case 'start_job': {
+      const validated = validatePath(args.script_path, 'execute');
+      return {
+        action: name === 'start_job' ? 'start background job' : 'run script',
+        script_path: validated,
+        args: args.args || [],
+        cwd: args.cwd ? validatePath(args.cwd, 'execute') : path.dirname(validated)
+      };
+    }
+    case 'run_python_code':
+      return {
+        action: 'run Python code',
+        code: args.code,
+        cwd: args.cwd ? validatePath(args.cwd, 'execute') : os.tmpdir()
+      };
+    case 'run_python_tests': {
+      const { validated, nodeParts, workDir } = resolveTestTarget(args.path, args.cwd || null);
+      return {
+        action: 'run Python tests',
+        path: [validated, ...nodeParts].join('::'),
+        runner: args.runner || 'auto',
+        cwd: workDir
+      };
+    }
+    case 'python_session_exec':
+      return {
+        action: 'run Python code in session',
+        session_id: args.session_id,
+        code: args.code
+      };
+    default: {
+      const { confirm_token: _token, ...rest } = args;
+      return { action: name, arguments: rest };
+    }
+  }
+}
+
+/**
+ * Gate a call that needs approval. Without a token, returns the plan and a
+ * fresh token; with a valid one, consumes it and returns null so the call
+ * goes ahead. Tokens are bound to the tool and its exact arguments.
+ */
+async function checkApproval(name, args) {
+  const now = Date.now();
+  for (const [token, pending] of pendingApprovals) {
+    if (pending.expires <= now) {
+      pendingApprovals.delete(token);
+    }
+  }
+
+  if (args.confirm_token) {
+    const pending = pendingApprovals.get(args.confirm_token);
+    if (!pending) {
+      throw new Error(`Confirmation token is invalid, expired or already used; call ${name} without confirm_token for a new plan`);
+    }
+    if (pending.tool !== name || pending.hash !== hashApprovalArgs(name, args)) {
+      throw new Error('Confirmation token was issued for a different call; arguments must match the plan exactly');
+    }
+    if (pending.fingerprint !== await approvalFingerprint(name, args)) {
+      pendingApprovals.delete(args.confirm_token);
+      throw new Error(`${args.path} changed since the plan was made; call ${name} again for a new plan`);
+    }
+    pendingApprovals.delete(args.confirm_token);
+    log('info', `Approved ${name}`);
+    return null;
+  }
+
+  const plan = await buildApprovalPlan(name, args);
+  const token = randomBytes(16).toString('hex');
+  pendingApprovals.set(token, {
+    tool: name,
+    hash: hashApprovalArgs(name, args),
+    fingerprint: await approvalFingerprint(name, args),
+    expires: now + APPROVAL_TOKEN_TTL
+  });
+
+  return {
+    approval_required: true,
+    executed: false,
+    tool: name,
+    plan: plan,
+    confirm_token: token,
+    expires_at: new Date(now + APPROVAL_TOKEN_TTL).toISOString(),
+    message: 'Nothing was done. Repeat the same call with confirm_token to run it.'
+  };
+}
+
+async function main() {
+  applyConfig(loadConfig());
+  watchConfig();
+
+  log('info', '='.repeat(70));
+  log('info', 'DARKSIDE MCP - "For those willing to trust"');
+  log('info', '='.repeat(70));
+  log('info', `Config file: ${CONFIG_PATH}${fsSync.existsSync(CONFIG_PATH) ? '' : ' (not found, using defaults)'}`);
+  log('info', `Allowed drives: ${ALLOWED_DRIVES.join(', ')}`);
+  log('info', `PowerShell: ${POWERSHELL_PATH || 'not found, PowerShell tools hidden'}`);
+  log('info', '');
+
+  const server = new Server(
+    {
+      name: "darkside-mcp",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { listChanged: true },
+        logging: {},
+      },
+    }
+  );
+  mcpServer = server;
+
+  // Enabled tools and allowed roots may change on reload
+  configReloadHandlers.push(() => {
+    server.sendToolListChanged().catch(err => log('error', 'Tool list notification failed:', err));
+    server.sendResourceListChanged().catch(err => log('error', 'Resource list notification failed:', err));
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    return listResources(request.params?.cursor || null);
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: 'file://{path}',
+          name: 'file',
+          description: 'Any file the path policy lets read_file read, by absolute path',
+        }
+      ]
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return readResource(request.params.uri);
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: [
+        {
+          name: "list_directory",
+          description: "List contents of a directory. Returns file/folder names, sizes, and timestamps.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Directory path to list"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "directory_tree",
+          description: "Recursive directory listing in one call: depth limit, include/exclude globs, sorting and pagination. Directories carry the total size and file count of everything below them; symlinks are reported, not followed.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Directory to list"
+              },
+              max_depth: {
+                type: "integer",
+                description: "Levels to list (1 = direct children). Sizes still cover deeper levels.",
+                default: 3
+              },
+              include: {
+                type: "array",
+                items: { type: "string" },
+                description: "Only list files matching these globs (e.g. '*.py', 'src/**/*.ts')"
+              },
+              exclude: {
+                type: "array",
+                items: { type: "string" },
+                description: "Skip files and directories matching these globs (e.g. 'node_modules', '*.log')"
+              },
+              show_hidden: {
+                type: "boolean",
+                description: "Include dotfiles and dot-directories",
+                default: false
+              },
+              sort_by: {
+                type: "string",
+                enum: ["name", "size", "modified"],
+                description: "Order of siblings within each directory",
+                default: "name"
+              },
+              order: {
+                type: "string",
+                enum: ["asc", "desc"],
+                default: "asc"
+              },
+              offset: {
+                type: "integer",
+                description: "Entries to skip (use next_offset from the previous page)",
+                default: 0
+              },
+              limit: {
+                type: "integer",
+                description: "Maximum entries to return",
+                default: 500
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "read_file",
+          description: "Read contents of a file. Supports line ranges (offset/limit) and byte ranges (byte_offset/byte_length) for large files. Binary files are detected and returned as base64 with a sniffed MIME type. Output is capped; check 'truncated' and 'total_lines'.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File path to read"
+              },
+              encoding: {
+                type: "string",
+                description: "File encoding (default: utf8). Use 'base64' to read raw bytes; binary files are returned as base64 automatically.",
+                default: "utf8"
+              },
+              offset: {
+                type: "number",
+                description: "First line to read, 1-based (line mode)"
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of lines to read (line mode)"
+              },
+              byte_offset: {
+                type: "number",
+                description: "First byte to read, 0-based (byte mode)"
+              },
+              byte_length: {
+                type: "number",
+                description: "Number of bytes to read (byte mode)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "write_file",
+          description: "Write or update a file. Automatically creates backup of existing files.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File path to write"
+              },
+              content: {
+                type: "string",
+                description: "Content to write"
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Create backup of existing file (default: true)",
+                default: true
+              }
+            },
+            required: ["path", "content"]
+          }
+        },
+        {
+          name: "edit_file",
+          description: "Edit a file in place without rewriting it. Apply exact find/replace edits (each must match exactly once unless replace_all is set) or a unified diff patch. Creates a backup and returns a diff of what changed.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File path to edit"
+              },
+              edits: {
+                type: "array",
+                description: "Find/replace edits applied in order (mutually exclusive with patch)",
+                items: {
+                  type: "object",
+                  properties: {
+                    old_text: {
+                      type: "string",
+                      description: "Exact text to find"
+                    },
+                    new_text: {
+                      type: "string",
+                      description: "Replacement text"
+                    },
+                    replace_all: {
+                      type: "boolean",
+                      description: "Replace every occurrence instead of requiring a unique match (default: false)",
+                      default: false
+                    }
+                  },
+                  required: ["old_text", "new_text"]
+                }
+              },
+              patch: {
+                type: "string",
+                description: "Unified diff to apply to this file (mutually exclusive with edits)"
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Create backup of the file before editing (default: true)",
+                default: true
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "search_files",
+          description: "Search for files using glob patterns. Supports wildcards like *.json, **/*.py",
+          inputSchema: {
+            type: "object",
+            properties: {
+              directory: {
+                type: "string",
+                description: "Directory to search in"
+              },
+              pattern: {
+                type: "string",
+                description: "Glob pattern (e.g., '*.db', '**/*.json')"
+              }
+            },
+            required: ["directory", "pattern"]
+          }
+        },
+        {
+          name: "grep_files",
+          description: "Search inside files for a regular expression. Returns file, line number and matched text, with optional context lines. Skips binary files and can respect .gitignore.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              directory: {
+                type: "string",
+                description: "Directory to search in"
+              },
+              pattern: {
+                type: "string",
+                description: "Regular expression (JavaScript syntax) matched against each line"
+              },
+              glob: {
+                type: "string",
+                description: "Only search files matching this glob (default: '**/*')",
+                default: "**/*"
+              },
+              case_sensitive: {
+                type: "boolean",
+                description: "Case-sensitive matching (default: true)",
+                default: true
+              },
+              context_lines: {
+                type: "number",
+                description: "Lines of context before and after each match (default: 0)",
+                default: 0
+              },
+              max_results: {
+                type: "number",
+                description: "Maximum number of matching lines to return (default: 100)",
+                default: 100
+              },
+              respect_gitignore: {
+                type: "boolean",
+                description: "Skip files ignored by the .gitignore at the root of the directory, and .git itself (default: false)",
+                default: false
+              }
+            },
+            required: ["directory", "pattern"]
+          }
+        },
+        {
+          name: "get_file_info",
+          description: "Get file or directory metadata including size, timestamps, and type.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File or directory path"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "create_directory",
+          description: "Create a new directory. Creates parent directories as needed.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Directory path to create"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "delete_file",
+          description: "Delete a file. Creates backup before deletion by default.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File path to delete"
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Create backup before deletion (default: true)",
+                default: true
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "move_path",
+          description: "Move or rename a file or directory. Source and destination must both be writable under the path policy.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              source: {
+                type: "string",
+                description: "File or directory to move"
+              },
+              destination: {
+                type: "string",
+                description: "New path (parent directories are created)"
+              },
+              overwrite: {
+                type: "boolean",
+                description: "Replace an existing destination file (never merges into a directory)",
+                default: false
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Back up a destination file before replacing it",
+                default: true
+              }
+            },
+            required: ["source", "destination"]
+          }
+        },
+        {
+          name: "copy_path",
+          description: "Copy a file or directory tree. Files matching deny patterns are left out.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              source: {
+                type: "string",
+                description: "File or directory to copy"
+              },
+              destination: {
+                type: "string",
+                description: "Path of the copy"
+              },
+              overwrite: {
+                type: "string",
+                enum: ["error", "skip", "overwrite"],
+                description: "Existing destination files: fail before copying anything, keep them, or replace them",
+                default: "error"
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Back up each file that gets overwritten",
+                default: true
+              }
+            },
+            required: ["source", "destination"]
+          }
+        },
+        {
+          name: "delete_directory",
+          description: "Delete a directory and everything in it. The tree is archived into the backup store first, so restore_backup can bring it back.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Directory to delete"
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Archive the tree into the backup store first",
+                default: true
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "list_archive",
+          description: "List the entries of a zip, tar or tar.gz archive without extracting it",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Archive file"
+              },
+              format: {
+                type: "string",
+                enum: ["zip", "tar", "tar.gz"],
+                description: "Archive format (default: from the file extension)"
+              },
+              offset: {
+                type: "integer",
+                description: "Entries to skip",
+                default: 0
+              },
+              limit: {
+                type: "integer",
+                description: "Maximum entries to return",
+                default: 500
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "extract_archive",
+          description: "Extract a zip, tar or tar.gz archive. Entries escaping the destination are refused, links are skipped, and entry count and size are capped (ARCHIVE_MAX_ENTRIES, ARCHIVE_MAX_BYTES).",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Archive file"
+              },
+              destination: {
+                type: "string",
+                description: "Directory to extract into (created if missing)"
+              },
+              format: {
+                type: "string",
+                enum: ["zip", "tar", "tar.gz"],
+                description: "Archive format (default: from the file extension)"
+              },
+              overwrite: {
+                type: "boolean",
+                description: "Replace existing files (otherwise any conflict fails before extracting)",
+                default: false
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Back up files that get replaced",
+                default: true
+              },
+              timeout_ms: {
+                type: "integer",
+                description: "Timeout in milliseconds",
+                default: 300000
+              }
+            },
+            required: ["path", "destination"]
+          }
+        },
+        {
+          name: "create_archive",
+          description: "Pack files and directories into a zip, tar or tar.gz archive. Each source is stored under its own name.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              sources: {
+                type: "array",
+                items: { type: "string" },
+                description: "Files and directories to include"
+              },
+              destination: {
+                type: "string",
+                description: "Archive file to write"
+              },
+              format: {
+                type: "string",
+                enum: ["zip", "tar", "tar.gz"],
+                description: "Archive format (default: from the destination extension)"
+              },
+              overwrite: {
+                type: "boolean",
+                description: "Replace an existing archive",
+                default: false
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Back up the archive being replaced",
+                default: true
+              },
+              timeout_ms: {
+                type: "integer",
+                description: "Timeout in milliseconds",
+                default: 300000
+              }
+            },
+            required: ["sources", "destination"]
+          }
+        },
+        // ============ BACKUP STORE TOOLS ============
+        {
+          name: "list_backups",
+          description: "List backups in the central backup store, newest first. Every write, edit and delete stores its backup here.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Only list backups of this file, or of files under this directory"
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of backups to return (default: 100)",
+                default: 100
+              }
+            }
+          }
+        },
+        {
+          name: "restore_backup",
+          description: "Restore a backup to its original location or to another path. The current file is backed up first.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "Backup id from list_backups"
+              },
+              target_path: {
+                type: "string",
+                description: "Restore here instead of the original path"
+              },
+              create_backup: {
+                type: "boolean",
+                description: "Back up the file being replaced (default: true)",
+                default: true
+              }
+            },
+            required: ["id"]
+          }
+        },
+        {
+          name: "prune_backups",
+          description: "Delete old backups by age, count and total size. Limits default to the server's retention settings; 0 means unlimited.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              max_age_days: {
+                type: "number",
+                description: "Remove backups older than this many days"
+              },
+              max_count: {
+                type: "number",
+                description: "Keep at most this many backups (newest first)"
+              },
+              max_total_mb: {
+                type: "number",
+                description: "Keep at most this many megabytes of backups (newest first)"
+              },
+              path: {
+                type: "string",
+                description: "Only prune backups of this file or directory"
+              },
+              dry_run: {
+                type: "boolean",
+                description: "Report what would be removed without deleting (default: false)",
+                default: false
+              }
+            }
+          }
+        },
+        // ============ HASH & DIFF TOOLS ============
+        {
+          name: "hash_file",
+          description: "Checksum a file (sha256, sha1 or md5). Streamed, so large files are fine.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File to hash"
+              },
+              algorithm: {
+                type: "string",
+                enum: ["sha256", "sha1", "md5"],
+                default: "sha256"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "diff_files",
+          description: "Unified diff between two text files. Give only 'path' to diff the file against its most recent backup, e.g. to check what a write_file or edit_file changed. Files over 20000 lines get sizes and hashes instead of a diff.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "File to diff (the old side when other_path is given)"
+              },
+              other_path: {
+                type: "string",
+                description: "File to compare with (the new side). Omit to compare against the latest backup."
+              },
+              context: {
+                type: "integer",
+                description: "Lines of context around each change",
+                default: 3
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "compare_directories",
+          description: "Compare two directory trees: files added, removed and changed (by size, then hash)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              left: {
+                type: "string",
+                description: "Baseline directory"
+              },
+              right: {
+                type: "string",
+                description: "Directory to compare against it"
+              },
+              algorithm: {
+                type: "string",
+                enum: ["sha256", "sha1", "md5"],
+                default: "sha256"
+              }
+            },
+            required: ["left", "right"]
+          }
+        },
+        // ============ PYTHON EXECUTION TOOLS ============
+        {
+          name: "run_python_script",
+          description: "Execute a Python script file with arguments. MCP-safe subprocess handling with captured stdout/stderr.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              script_path: {
+                type: "string",
+                description: "Path to Python script"
+              },
+              args: {
+                type: "array",
+                items: { type: "string" },
+                description: "Command-line arguments to pass to script",
+                default: []
+              },
+              cwd: {
+                type: "string",
+                description: "Working directory (default: script's directory)"
+              },
+              timeout_ms: {
+                type: "number",
+                description: "Timeout in milliseconds (default: 30000, max: 300000)",
+                default: 30000
+              },
+              env: {
+                type: "object",
+                description: "Additional environment variables",
+                default: {}
+              },
+              venv: {
+                type: "string",
+                description: "Virtual environment directory to run in (mutually exclusive with interpreter)"
+              },
+              interpreter: {
+                type: "string",
+                description: "Python interpreter to use instead of the configured one: an absolute path or a command like python3.12"
+              },
+              stdin: {
+                type: "string",
+                description: "Input written to the process's stdin, which is then closed"
+              },
+              stdin_encoding: {
+                type: "string",
+                enum: ["utf8", "base64"],
+                description: "Encoding of stdin; use base64 for binary input",
+                default: "utf8"
+              },
+              limits: PROCESS_LIMITS_SCHEMA
+            },
+            required: ["script_path"]
+          }
+        },
+        {
+          name: "run_python_code",
+          description: "Execute inline Python code. Creates temp file, runs it, cleans up. Includes basic security checks.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              code: {
+                type: "string",
+                description: "Python code to execute"
+              },
+              timeout_ms: {
+                type: "number",
+                description: "Timeout in milliseconds (default: 30000, max: 300000)",
+                default: 30000
+              },
+              cwd: {
+                type: "string",
+                description: "Working directory (default: temp directory)"
+              },
+              env: {
+                type: "object",
+                description: "Additional environment variables",
+                default: {}
+              },
+              venv: {
+                type: "string",
+                description: "Virtual environment directory to run in (mutually exclusive with interpreter)"
+              },
+              interpreter: {
+                type: "string",
+                description: "Python interpreter to use instead of the configured one: an absolute path or a command like python3.12"
+              },
+              output_format: {
+                type: "string",
+                enum: ["text", "json"],
+                description: "'json' also returns the value of the code's top-level 'result' variable, parsed, in a 'result' field",
+                default: "text"
+              },
+              stdin: {
+                type: "string",
+                description: "Input written to the process's stdin, which is then closed"
+              },
+              stdin_encoding: {
+                type: "string",
+                enum: ["utf8", "base64"],
+                description: "Encoding of stdin; use base64 for binary input",
+                default: "utf8"
+              },
+              limits: PROCESS_LIMITS_SCHEMA
+            },
+            required: ["code"]
+          }
+        },
+        {
+          name: "check_python_syntax",
+          description: "Check Python code syntax without executing. Uses Python's ast.parse.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              code: {
+                type: "string",
+                description: "Python code to check (mutually exclusive with script_path)"
+              },
+              script_path: {
+                type: "string",
+                description: "Path to Python script to check (mutually exclusive with code)"
+              }
+            }
+          }
+        },
+        {
+          name: "get_python_info",
+          description: "Get Python interpreter information including version, path, platform and installed packages.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              venv: {
+                type: "string",
+                description: "Virtual environment directory to run in (mutually exclusive with interpreter)"
+              },
+              interpreter: {
+                type: "string",
+                description: "Python interpreter to use instead of the configured one: an absolute path or a command like python3.12"
+              }
+            }
+          }
+        },
+        // ============ VIRTUAL ENVIRONMENT TOOLS ============
+        {
+          name: "create_venv",
+          description: "Create a Python virtual environment (python -m venv) at a path inside the allowed roots.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Directory to create the environment in (must not exist or be empty)"
+              },
+              interpreter: {
+                type: "string",
+                description: "Base Python to build it from (default: the configured interpreter)"
+              },
+              system_site_packages: {
+                type: "boolean",
+                description: "Give the environment access to the base interpreter's packages",
+                default: false
+              },
+              with_pip: {
+                type: "boolean",
+                description: "Install pip into the environment",
+                default: true
+              },
+              timeout_ms: {
+                type: "number",
+                description: "Timeout in milliseconds (default: 300000, capped at the Python max timeout)",
+                default: 300000
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "list_venvs",
+          description: "Find virtual environments below a directory, with their Python version and base interpreter.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              directory: {
+                type: "string",
+                description: "Directory to search"
+              },
+              max_depth: {
+                type: "number",
+                description: "How many directory levels to search",
+                default: 3
+              }
+            },
+            required: ["directory"]
+          }
+        },
+        {
+          name: "delete_venv",
+          description: "Delete a virtual environment directory. Refuses anything without a pyvenv.cfg. No backup is made.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Virtual environment directory"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "pip_install",
+          description: "pip install into a virtual environment from a requirements file and/or package specifiers. Supports offline installs from a local wheelhouse or a custom index.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              venv: {
+                type: "string",
+                description: "Virtual environment directory"
+              },
+              requirements: {
+                type: "string",
+                description: "Path to a requirements file"
+              },
+              packages: {
+                type: "array",
+                items: { type: "string" },
+                description: "Package specifiers, e.g. [\"requests>=2.31\", \"numpy\"]",
+                default: []
+              },
+              wheelhouse: {
+                type: "string",
+                description: "Local directory of wheels to install from, without touching the network"
+              },
+              index_url: {
+                type: "string",
+                description: "Package index URL to use instead of PyPI"
+              },
+              upgrade: {
+                type: "boolean",
+                description: "Upgrade packages that are already installed",
+                default: false
+              },
+              timeout_ms: {
+                type: "number",
+                description: "Timeout in milliseconds (default: 300000, capped at the Python max timeout)",
+                default: 300000
+              }
+            },
+            required: ["venv"]
+          }
+        },
+        // ============ PYTHON TEST TOOLS ============
+        {
+          name: "run_python_tests",
+          description: "Run pytest (or unittest when pytest isn't installed) on a test file, directory or node ID like tests/test_api.py::TestAuth::test_login. Results come from a JUnit XML report: per-test status, duration, failure message, traceback and its innermost location, with failures listed first.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Test file or directory, optionally followed by ::Class::test. Relative paths are taken from cwd, so a returned node_id can be passed back with the same cwd"
+              },
+              cwd: {
+                type: "string",
+                description: "Working directory and pytest rootdir (default: the test directory, or the test file's directory)"
+              },
+              keyword: {
+                type: "string",
+                description: "Select tests by name: a pytest -k expression, or a substring or glob pattern under unittest"
+              },
+              markers: {
+                type: "string",
+                description: "pytest -m marker expression, e.g. \"not slow\" (pytest only)"
+              },
+              fail_fast: {
+                type: "boolean",
+                description: "Stop at the first failure or error",
+                default: false
+              },
+              runner: {
+                type: "string",
+                enum: ["auto", "pytest", "unittest"],
+                description: "Test runner; auto uses pytest when the interpreter can import it",
+                default: "auto"
+              },
+              timeout_ms: {
+                type: "number",
+                description: "Timeout in milliseconds (default: 300000, capped at the Python max timeout)",
+                default: 300000
+              },
+              env: {
+                type: "object",
+                description: "Additional environment variables",
+                default: {}
+              },
+              venv: {
+                type: "string",
+                description: "Virtual environment directory to run in (mutually exclusive with interpreter)"
+              },
+              interpreter: {
+                type: "string",
+                description: "Python interpreter to use instead of the configured one: an absolute path or a command like python3.12"
+              },
+              limits: PROCESS_LIMITS_SCHEMA
+            },
+            required: ["path"]
+          }
+        },
+        // ============ PYTHON SESSION TOOLS ============
+        {
+          name: "python_session_start",
+          description: "Start a persistent Python interpreter. Variables, imports and loaded data survive between python_session_exec calls. Idle sessions are closed automatically.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Optional label to recognise the session by"
+              },
+              cwd: {
+                type: "string",
+                description: "Working directory (default: temp directory)"
+              },
+              env: {
+                type: "object",
+                description: "Additional environment variables",
+                default: {}
+              }
+            }
+          }
+        },
+        {
+          name: "python_session_exec",
+          description: "Execute code in a Python session. If the last statement is an expression its repr is returned as 'result'. On timeout the code is interrupted with KeyboardInterrupt; the session survives unless it ignores the interrupt.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              session_id: {
+                type: "string",
+                description: "Session id from python_session_start"
+              },
+              code: {
+                type: "string",
+                description: "Python code to execute"
+              },
+              timeout_ms: {
+                type: "number",
+                description: "Timeout in milliseconds (default: 30000, max: 300000)",
+                default: 30000
+              }
+            },
+            required: ["session_id", "code"]
+          }
+        },
         {
-          name: "list_directory",
-          description: "List contents of a directory. Returns file/folder names, sizes, and timestamps.",
+          name: "python_session_interrupt",
+          description: "Interrupt the code currently running in a Python session (KeyboardInterrupt). On Windows this ends the session.",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
+              session_id: {
                 type: "string",
-                description: "Directory path to list"
+                description: "Session id"
               }
             },
-            required: ["path"]
+            required: ["session_id"]
           }
         },
         {
-          name: "read_file",
-          description: "Read contents of a file. Supports text files with configurable encoding.",
+          name: "python_session_list",
+          description: "List running Python sessions with their age, last use and exec count.",
+          inputSchema: {
+            type: "object",
+            properties: {}
+          }
+        },
+        {
+          name: "python_session_close",
+          description: "Close a Python session and end its interpreter.",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
-                type: "string",
-                description: "File path to read"
-              },
-              encoding: {
+              session_id: {
                 type: "string",
-                description: "File encoding (default: utf8)",
-                default: "utf8"
+                description: "Session id"
               }
             },
-            required: ["path"]
+            required: ["session_id"]
           }
         },
+        // ============ BACKGROUND JOB TOOLS ============
         {
-          name: "write_file",
-          description: "Write or update a file. Automatically creates backup of existing files.",
+          name: "start_job",
+          description: "Start a Python or PowerShell script in the background and return immediately. No timeout unless max_runtime_ms is set. Output is captured to rotating log files; poll with job_status and job_output.",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
+              script_path: {
                 type: "string",
-                description: "File path to write"
+                description: "Path to the script (.py or .ps1)"
               },
-              content: {
+              args: {
+                type: "array",
+                items: { type: "string" },
+                description: "Command-line arguments to pass to script",
+                default: []
+              },
+              kind: {
                 type: "string",
-                description: "Content to write"
+                enum: ["python", "powershell"],
+                description: "Interpreter to use (default: powershell for .ps1, otherwise python)"
               },
-              create_backup: {
-                type: "boolean",
-                description: "Create backup of existing file (default: true)",
-                default: true
+              cwd: {
+                type: "string",
+                description: "Working directory (default: script's directory)"
+              },
+              env: {
+                type: "object",
+                description: "Additional environment variables",
+                default: {}
+              },
+              max_runtime_ms: {
+                type: "number",
+                description: "Kill the job after this many milliseconds (default: 0, no limit)",
+                default: 0
+              },
+              limits: PROCESS_LIMITS_SCHEMA
+            },
+            required: ["script_path"]
+          }
+        },
+        {
+          name: "job_status",
+          description: "Get a background job's status, exit code, timing and output sizes.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              job_id: {
+                type: "string",
+                description: "Job id from start_job"
               }
             },
-            required: ["path", "content"]
+            required: ["job_id"]
           }
         },
         {
-          name: "search_files",
-          description: "Search for files using glob patterns. Supports wildcards like *.json, **/*.py",
+          name: "job_output",
+          description: "Read a background job's stdout or stderr from a byte offset. Pass the returned next_offset back in to read only new output.",
           inputSchema: {
             type: "object",
             properties: {
-              directory: {
+              job_id: {
                 type: "string",
-                description: "Directory to search in"
+                description: "Job id"
               },
-              pattern: {
+              stream: {
                 type: "string",
-                description: "Glob pattern (e.g., '*.db', '**/*.json')"
+                enum: ["stdout", "stderr"],
+                description: "Which stream to read (default: stdout)",
+                default: "stdout"
+              },
+              offset: {
+                type: "number",
+                description: "Absolute byte offset to start at (default: 0)",
+                default: 0
+              },
+              max_bytes: {
+                type: "number",
+                description: "Maximum bytes to return (default: 65536)",
+                default: 65536
               }
             },
-            required: ["directory", "pattern"]
+            required: ["job_id"]
           }
         },
         {
-          name: "get_file_info",
-          description: "Get file or directory metadata including size, timestamps, and type.",
+          name: "list_jobs",
+          description: "List background jobs, newest first, including finished jobs and jobs from earlier server runs.",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
+              status: {
                 type: "string",
-                description: "File or directory path"
+                enum: ["running", "succeeded", "failed", "killed", "timeout", "lost"],
+                description: "Only list jobs with this status"
               }
-            },
-            required: ["path"]
+            }
           }
         },
         {
-          name: "create_directory",
-          description: "Create a new directory. Creates parent directories as needed.",
+          name: "kill_job",
+          description: "Stop a running background job (SIGTERM, then SIGKILL after a grace period).",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
+              job_id: {
                 type: "string",
-                description: "Directory path to create"
+                description: "Job id"
               }
             },
-            required: ["path"]
+            required: ["job_id"]
           }
         },
+        // ============ OUTPUT TOOLS ============
         {
-          name: "delete_file",
-          description: "Delete a file. Creates backup before deletion by default.",
+          name: "read_output",
+          description: "Page through the full output of a run whose stdout or stderr was truncated. Use the spill_id from the truncated result; pass next_offset back to continue.",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
+              spill_id: {
                 type: "string",
-                description: "File path to delete"
+                description: "spill_id from the truncated result"
               },
-              create_backup: {
-                type: "boolean",
-                description: "Create backup before deletion (default: true)",
-                default: true
+              stream: {
+                type: "string",
+                enum: ["stdout", "stderr"],
+                description: "Which stream to read",
+                default: "stdout"
+              },
+              offset: {
+                type: "number",
+                description: "Byte offset to start from; an offset inside a character moves back to its first byte, and the result's offset says where reading began",
+                default: 0
+              },
+              max_bytes: {
+                type: "number",
+                description: "Max bytes to return (default: OUTPUT_MAX_BYTES)"
               }
             },
-            required: ["path"]
+            required: ["spill_id"]
           }
         },
-        // ============ PYTHON EXECUTION TOOLS ============
+        // ============ FILE WATCHING TOOLS ============
         {
-          name: "run_python_script",
-          description: "Execute a Python script file with arguments. MCP-safe subprocess handling with captured stdout/stderr.",
+          name: "watch_path",
+          description: "Watch a file or directory for changes. Events are debounced, filtered by glob, queued for get_changes and sent as MCP logging (or resource-updated) notifications.",
           inputSchema: {
             type: "object",
             properties: {
-              script_path: {
+              path: {
                 type: "string",
-                description: "Path to Python script"
+                description: "File or directory to watch"
               },
-              args: {
+              patterns: {
                 type: "array",
                 items: { type: "string" },
-                description: "Command-line arguments to pass to script",
+                description: "Only report paths matching these globs (e.g. [\"*.log\", \"dist/**\"]); patterns without a slash match the file name",
                 default: []
               },
-              cwd: {
-                type: "string",
-                description: "Working directory (default: script's directory)"
+              ignore: {
+                type: "array",
+                items: { type: "string" },
+                description: "Skip paths matching these globs",
+                default: []
               },
-              timeout_ms: {
+              recursive: {
+                type: "boolean",
+                description: "Include subdirectories",
+                default: true
+              },
+              debounce_ms: {
                 type: "number",
-                description: "Timeout in milliseconds (default: 30000, max: 300000)",
-                default: 30000
+                description: "Merge bursts of changes to the same path within this window",
+                default: 250
               },
-              env: {
-                type: "object",
-                description: "Additional environment variables",
-                default: {}
+              notify: {
+                type: "string",
+                enum: ["log", "resource", "none"],
+                description: "Notification per change: logging message, resources/updated with the file URI, or none (get_changes only)",
+                default: "log"
               }
             },
-            required: ["script_path"]
+            required: ["path"]
           }
         },
         {
-          name: "run_python_code",
-          description: "Execute inline Python code. Creates temp file, runs it, cleans up. Includes basic security checks.",
+          name: "unwatch_path",
+          description: "Stop a watcher started with watch_path.",
           inputSchema: {
             type: "object",
             properties: {
-              code: {
-                type: "string",
-                description: "Python code to execute"
-              },
-              timeout_ms: {
-                type: "number",
-                description: "Timeout in milliseconds (default: 30000, max: 300000)",
-                default: 30000
-              },
-              cwd: {
+              watch_id: {
                 type: "string",
-                description: "Working directory (default: temp directory)"
-              },
-              env: {
-                type: "object",
-                description: "Additional environment variables",
-                default: {}
+                description: "Watcher id"
               }
             },
-            required: ["code"]
+            required: ["watch_id"]
           }
         },
         {
-          name: "check_python_syntax",
-          description: "Check Python code syntax without executing. Uses Python's ast.parse.",
+          name: "get_changes",
+          description: "Get queued change events after a cursor. Set wait_ms to block until a change arrives instead of polling.",
           inputSchema: {
             type: "object",
             properties: {
-              code: {
-                type: "string",
-                description: "Python code to check (mutually exclusive with script_path)"
+              cursor: {
+                type: "number",
+                description: "Return events after this one; pass back the returned cursor",
+                default: 0
               },
-              script_path: {
+              watch_id: {
                 type: "string",
-                description: "Path to Python script to check (mutually exclusive with code)"
+                description: "Only events from this watcher"
+              },
+              wait_ms: {
+                type: "number",
+                description: "Wait up to this long for an event when none are queued (max 300000)",
+                default: 0
+              },
+              limit: {
+                type: "number",
+                description: "Max events to return",
+                default: 500
               }
             }
           }
         },
+        // ============ AUDIT TOOLS ============
         {
-          name: "get_python_info",
-          description: "Get Python interpreter information including version, path, and platform.",
+          name: "query_audit_log",
+          description: "Search the audit log of past tool calls by time range, tool and path. Each entry has the arguments (secrets redacted), affected paths, exit code, duration and error.",
           inputSchema: {
             type: "object",
-            properties: {}
+            properties: {
+              since: {
+                type: "string",
+                description: "Only calls at or after this ISO 8601 time"
+              },
+              until: {
+                type: "string",
+                description: "Only calls at or before this ISO 8601 time"
+              },
+              tool: {
+                type: "string",
+                description: "Tool name or glob, e.g. \"delete_*\""
+              },
+              path: {
+                type: "string",
+                description: "Only calls that touched this file or anything under this directory"
+              },
+              errors_only: {
+                type: "boolean",
+                description: "Only failed calls",
+                default: false
+              },
+              limit: {
+                type: "number",
+                description: "Max entries, newest kept (default: 100)",
+                default: 100
+              }
+            }
           }
         },
         // ============ POWERSHELL EXECUTION TOOLS ============
@@ -1068,7 +8001,29 @@ async function main() {
               cwd: {
                 type: "string",
                 description: "Working directory (default: user home)"
-              }
+              },
+              output_format: {
+                type: "string",
+                enum: ["text", "json"],
+                description: "'json' converts the pipeline output with ConvertTo-Json and returns it parsed in a 'result' field instead of stdout",
+                default: "text"
+              },
+              json_depth: {
+                type: "integer",
+                description: "ConvertTo-Json -Depth for output_format 'json'",
+                default: 5
+              },
+              stdin: {
+                type: "string",
+                description: "Input written to the process's stdin, which is then closed"
+              },
+              stdin_encoding: {
+                type: "string",
+                enum: ["utf8", "base64"],
+                description: "Encoding of stdin; use base64 for binary input",
+                default: "utf8"
+              },
+              limits: PROCESS_LIMITS_SCHEMA
             },
             required: ["command"]
           }
@@ -1097,7 +8052,29 @@ async function main() {
               cwd: {
                 type: "string",
                 description: "Working directory (default: script's directory)"
-              }
+              },
+              output_format: {
+                type: "string",
+                enum: ["text", "json"],
+                description: "'json' converts the pipeline output with ConvertTo-Json and returns it parsed in a 'result' field instead of stdout",
+                default: "text"
+              },
+              json_depth: {
+                type: "integer",
+                description: "ConvertTo-Json -Depth for output_format 'json'",
+                default: 5
+              },
+              stdin: {
+                type: "string",
+                description: "Input written to the process's stdin, which is then closed"
+              },
+              stdin_encoding: {
+                type: "string",
+                enum: ["utf8", "base64"],
+                description: "Encoding of stdin; use base64 for binary input",
+                default: "utf8"
+              },
+              limits: PROCESS_LIMITS_SCHEMA
             },
             required: ["script_path"]
           }
@@ -1110,29 +8087,84 @@ async function main() {
             properties: {}
           }
         }
-      ]
+      ].filter(tool => isToolEnabled(tool.name) && !toolUnavailableReason(tool.name)).map(withApprovalArgument)
     };
   });
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params;
+    const progress = createProgressReporter(request, extra);
+    const startTime = Date.now();
+    let result;
 
     try {
-      let result;
+
+      if (!isToolEnabled(name)) {
+        throw new Error(`Tool is disabled by configuration: ${name}`);
+      }
+      const unavailable = toolUnavailableReason(name);
+      if (unavailable) {
+        throw new Error(`Tool ${name} is unavailable: ${unavailable}`);
+      }
+
+      if (requiresApproval(name)) {
+        const approval = await checkApproval(name, args);
+        if (approval) {
+          auditToolCall(name, args, startTime, approval, null);
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(approval, null, 2)
+              }
+            ]
+          };
+        }
+      }
 
       switch (name) {
         case "list_directory":
           result = await listDirectory(args.path);
           break;
+        case "directory_tree":
+          result = await directoryTree(args.path, {
+            maxDepth: args.max_depth,
+            include: args.include,
+            exclude: args.exclude,
+            showHidden: args.show_hidden,
+            sortBy: args.sort_by,
+            order: args.order,
+            offset: args.offset,
+            limit: args.limit
+          });
+          break;
         case "read_file":
-          result = await readFile(args.path, args.encoding || 'utf8');
+          result = await readFile(args.path, {
+            encoding: args.encoding || 'utf8',
+            offset: args.offset,
+            limit: args.limit,
+            byteOffset: args.byte_offset,
+            byteLength: args.byte_length
+          });
           break;
         case "write_file":
           result = await writeFile(args.path, args.content, args.create_backup !== false);
           break;
+        case "edit_file":
+          result = await editFile(args.path, args.edits || null, args.patch || null, args.create_backup !== false);
+          break;
         case "search_files":
           result = await searchFiles(args.directory, args.pattern);
           break;
+        case "grep_files":
+          result = await grepFiles(args.directory, args.pattern, {
+            glob: args.glob,
+            caseSensitive: args.case_sensitive,
+            contextLines: args.context_lines,
+            maxResults: args.max_results,
+            respectGitignore: args.respect_gitignore === true
+          });
+          break;
         case "get_file_info":
           result = await getFileInfo(args.path);
           break;
@@ -1142,6 +8174,51 @@ async function main() {
         case "delete_file":
           result = await deleteFile(args.path, args.create_backup !== false);
           break;
+        case "move_path":
+          result = await movePath(args.source, args.destination, args.overwrite === true, args.create_backup !== false);
+          break;
+        case "copy_path":
+          result = await copyPath(args.source, args.destination, args.overwrite || 'error', args.create_backup !== false);
+          break;
+        case "delete_directory":
+          result = await deleteDirectory(args.path, args.create_backup !== false);
+          break;
+        case "list_archive":
+          result = await listArchive(args.path, args.format || null, args.offset || 0, args.limit || 500);
+          break;
+        case "extract_archive":
+          result = await extractArchive(args.path, args.destination, args.format || null, args.overwrite === true, args.create_backup !== false, args.timeout_ms || ARCHIVE_TIMEOUT_DEFAULT);
+          break;
+        case "create_archive":
+          result = await createArchive(args.sources, args.destination, args.format || null, args.overwrite === true, args.create_backup !== false, args.timeout_ms || ARCHIVE_TIMEOUT_DEFAULT);
+          break;
+        // ============ BACKUP STORE HANDLERS ============
+        case "list_backups":
+          result = await listBackups(args.path || null, args.limit || 100);
+          break;
+        case "restore_backup":
+          result = await restoreBackup(args.id, args.target_path || null, args.create_backup !== false);
+          break;
+        case "prune_backups":
+          result = await pruneBackups({
+            maxAgeDays: args.max_age_days,
+            maxCount: args.max_count,
+            maxTotalMb: args.max_total_mb,
+            path: args.path,
+            dryRun: args.dry_run === true
+          });
+          break;
+        // ============ HASH & DIFF HANDLERS ============
+        case "hash_file":
+          result = await hashFile(args.path, args.algorithm || 'sha256');
+          break;
+        case "diff_files":
+          result = await diffFiles(args.path, args.other_path || null, args.context ?? 3);
+          break;
+        case "compare_directories":
+          result = await compareDirectories(args.left, args.right, args.algorithm || 'sha256');
+          break;
+
         // ============ PYTHON EXECUTION HANDLERS ============
         case "run_python_script":
           result = await runPythonScript(
@@ -1149,7 +8226,11 @@ async function main() {
             args.args || [],
             args.cwd || null,
             args.timeout_ms || PYTHON_TIMEOUT,
-            args.env || {}
+            args.env || {},
+            progress,
+            resolvePythonInterpreter(args.venv || null, args.interpreter || null),
+            args.limits || {},
+            decodeStdinInput(args.stdin, args.stdin_encoding || 'utf8')
           );
           break;
         case "run_python_code":
@@ -1157,21 +8238,146 @@ async function main() {
             args.code,
             args.timeout_ms || PYTHON_TIMEOUT,
             args.cwd || null,
-            args.env || {}
+            args.env || {},
+            progress,
+            resolvePythonInterpreter(args.venv || null, args.interpreter || null),
+            args.output_format || 'text',
+            args.limits || {},
+            decodeStdinInput(args.stdin, args.stdin_encoding || 'utf8')
           );
           break;
         case "check_python_syntax":
           result = await checkPythonSyntax(args.code || null, args.script_path || null);
           break;
         case "get_python_info":
-          result = await getPythonInfo();
+          result = await getPythonInfo(resolvePythonInterpreter(args.venv || null, args.interpreter || null));
+          break;
+        // ============ VIRTUAL ENVIRONMENT HANDLERS ============
+        case "create_venv":
+          result = await createVenv(
+            args.path,
+            args.interpreter || null,
+            args.system_site_packages === true,
+            args.with_pip !== false,
+            args.timeout_ms || PIP_TIMEOUT_DEFAULT
+          );
+          break;
+        case "list_venvs":
+          result = await listVenvs(args.directory, args.max_depth ?? 3);
+          break;
+        case "delete_venv":
+          result = await deleteVenv(args.path);
+          break;
+        case "pip_install":
+          result = await pipInstall(args.venv, {
+            requirements: args.requirements,
+            packages: args.packages,
+            wheelhouse: args.wheelhouse,
+            indexUrl: args.index_url,
+            upgrade: args.upgrade === true,
+            timeout: args.timeout_ms
+          }, progress);
+          break;
+        // ============ PYTHON TEST HANDLERS ============
+        case "run_python_tests":
+          result = await runPythonTests(args.path, {
+            cwd: args.cwd || null,
+            keyword: args.keyword || null,
+            markers: args.markers || null,
+            failFast: args.fail_fast === true,
+            runner: args.runner || 'auto',
+            timeout: args.timeout_ms || TEST_TIMEOUT_DEFAULT,
+            env: args.env || {},
+            limits: args.limits || {}
+          }, progress, resolvePythonInterpreter(args.venv || null, args.interpreter || null));
+          break;
+        // ============ PYTHON SESSION HANDLERS ============
+        case "python_session_start":
+          result = await startPythonSession(args.name || null, args.cwd || null, args.env || {});
+          break;
+        case "python_session_exec":
+          result = await execPythonSession(args.session_id, args.code, args.timeout_ms || PYTHON_TIMEOUT);
+          break;
+        case "python_session_interrupt":
+          result = await interruptPythonSession(args.session_id);
+          break;
+        case "python_session_list":
+          result = await listPythonSessions();
+          break;
+        case "python_session_close":
+          result = await closePythonSession(args.session_id);
+          break;
+        // ============ BACKGROUND JOB HANDLERS ============
+        case "start_job":
+          result = await startJob(
+            args.script_path,
+            args.args || [],
+            args.kind || null,
+            args.cwd || null,
+            args.env || {},
+            args.max_runtime_ms || 0,
+            args.limits || {}
+          );
+          break;
+        case "job_status":
+          result = await jobStatus(args.job_id);
+          break;
+        case "job_output":
+          result = await jobOutput(
+            args.job_id,
+            args.stream || 'stdout',
+            args.offset || 0,
+            args.max_bytes || JOB_OUTPUT_DEFAULT_BYTES
+          );
+          break;
+        case "list_jobs":
+          result = await listJobs(args.status || null);
+          break;
+        case "kill_job":
+          result = await killJob(args.job_id);
+          break;
+        // ============ OUTPUT HANDLERS ============
+        case "read_output":
+          result = await readOutput(args.spill_id, args.stream || 'stdout', args.offset || 0, args.max_bytes || OUTPUT_MAX_BYTES);
+          break;
+        // ============ FILE WATCHING HANDLERS ============
+        case "watch_path":
+          result = await watchPath(args.path, {
+            patterns: args.patterns,
+            ignore: args.ignore,
+            recursive: args.recursive,
+            debounceMs: args.debounce_ms,
+            notify: args.notify
+          });
+          break;
+        case "unwatch_path":
+          result = await unwatchPath(args.watch_id);
+          break;
+        case "get_changes":
+          result = await getChanges(args.cursor || 0, args.watch_id || null, args.wait_ms || 0, args.limit || 500);
+          break;
+        // ============ AUDIT HANDLERS ============
+        case "query_audit_log":
+          result = await queryAuditLog({
+            since: args.since,
+            until: args.until,
+            tool: args.tool,
+            path: args.path,
+            errorsOnly: args.errors_only === true,
+            limit: args.limit
+          });
           break;
         // ============ POWERSHELL EXECUTION HANDLERS ============
         case "run_powershell":
           result = await runPowerShell(
             args.command,
             args.timeout_ms || POWERSHELL_TIMEOUT,
-            args.cwd || null
+            args.cwd || null,
+            progress,
+            args.output_format || 'text',
+            args.json_depth ?? POWERSHELL_JSON_DEPTH_DEFAULT,
+            args.limits || {},
+            decodeStdinInput(args.stdin, args.stdin_encoding || 'utf8')
           );
           break;
         case "run_powershell_script":
@@ -1179,7 +8385,12 @@ async function main() {
             args.script_path,
             args.args || [],
             args.timeout_ms || POWERSHELL_TIMEOUT,
-            args.cwd || null
+            args.cwd || null,
+            progress,
+            args.output_format || 'text',
+            args.json_depth ?? POWERSHELL_JSON_DEPTH_DEFAULT,
+            args.limits || {},
+            decodeStdinInput(args.stdin, args.stdin_encoding || 'utf8')
           );
           break;
         case "get_powershell_info":
@@ -1189,6 +8400,8 @@ async function main() {
           throw new Error(`Unknown tool: ${name}`);
       }
 
+      auditToolCall(name, args, startTime, result, null);
+
       return {
         content: [
           {
@@ -1198,6 +8411,8 @@ async function main() {
         ]
       };
     } catch (error) {
+      auditToolCall(name, args, startTime, result, error);
+
       return {
         content: [
           {
@@ -1210,9 +8425,18 @@ async function main() {
         ],
         isError: true
       };
+    } finally {
+      if (progress) progress.stop();
     }
   });
 
+  // Runs live in their own process groups and won't die with us unless
+  // told to; a signal has to go through process.exit for 'exit' to fire
+  process.on('exit', killAllProcessGroups);
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.on(signal, () => process.exit(128 + os.constants.signals[signal]));
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
 
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ APPROVAL_MODE: 'true', APPROVAL_TOKEN_TTL: '1000' });
+});
+
+after(() => server.close());
+
+test('a plan runs once with its token and only for the same arguments', async () => {
+  const file = path.join(server.work, 'once.txt');
+  const args = { path: file, content: 'hello\n' };
+
+  const plan = await server.call('write_file', args);
+  assert.equal(plan.approval_required, true);
+  assert.match(plan.plan.diff, /^\+hello$/m);
+  await assert.rejects(fs.access(file));
+
+  await assert.rejects(
+    server.call('write_file', { ...args, content: 'other\n', confirm_token: plan.confirm_token }),
+    /issued for a different call/
+  );
+  await server.call('write_file', { ...args, confirm_token: plan.confirm_token });
+  assert.equal(await fs.readFile(file, 'utf8'), 'hello\n');
+
+  await assert.rejects(
+    server.call('write_file', { ...args, confirm_token: plan.confirm_token }),
+    /invalid, expired or already used/
+  );
+});
+
+test('a token expires after the TTL', async () => {
+  const args = { path: path.join(server.work, 'late.txt'), content: 'late\n' };
+  const plan = await server.call('write_file', args);
+  await sleep(1200);
+  await assert.rejects(
+    server.call('write_file', { ...args, confirm_token: plan.confirm_token }),
+    /invalid, expired or already used/
+  );
+});
+
+test('a confirm is refused when the file changed after the plan', async () => {
+  const file = path.join(server.work, 'moved.txt');
+  await fs.writeFile(file, 'before\n');
+  const args = { path: file, content: 'after\n' };
+
+  const plan = await server.call('write_file', args);
+  await fs.writeFile(file, 'someone else\n');
+  await assert.rejects(
+    server.call('write_file', { ...args, confirm_token: plan.confirm_token }),
+    /changed since the plan was made/
+  );
+  assert.equal(await fs.readFile(file, 'utf8'), 'someone else\n');
+});
+
+test('a plan for a huge write reports sizes and hashes instead of a diff', async () => {
+  const file = path.join(server.work, 'huge.txt');
+  const lines = count => Array.from({ length: count }, (_, i) => `${i}\n`).join('');
+  await fs.writeFile(file, lines(30000));
+
+  const plan = await server.call('write_file', { path: file, content: lines(10) });
+  assert.equal(plan.plan.diff, null);
+  assert.equal(plan.plan.old.lines, 30000);
+  assert.equal(plan.plan.new.lines, 10);
+  assert.match(plan.plan.old.sha256, /^[0-9a-f]{64}$/);
+});
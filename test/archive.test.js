@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+// Archives with hostile entries can't be made with create_archive, so build
+// them with Python's own modules
+function buildArchive(file, script) {
+  execFileSync('python3', ['-c', `import io, sys, tarfile, zipfile\npath = sys.argv[1]\n${script}`, file]);
+}
+
+const ZIP_WITH = names => `with zipfile.ZipFile(path, 'w') as z:\n${names.map(n => `    z.writestr(${JSON.stringify(n)}, 'x')`).join('\n')}`;
+
+test('zip-slip entries are refused and nothing is extracted', async () => {
+  for (const [label, name] of [['parent', '../evil.txt'], ['nested parent', 'a/../../evil.txt'], ['absolute', '/tmp/evil.txt']]) {
+    const archive = path.join(server.work, `slip-${label.replace(' ', '-')}.zip`);
+    const destination = path.join(server.work, `slip-${label.replace(' ', '-')}`);
+    buildArchive(archive, ZIP_WITH(['fine.txt', name]));
+    await assert.rejects(server.call('extract_archive', { path: archive, destination }), /Unsafe archive entry/, label);
+    await assert.rejects(fs.access(path.join(destination, 'fine.txt')));
+  }
+  await assert.rejects(fs.access(path.join(server.work, 'evil.txt')));
+});
+
+test('symlink entries are skipped, not created', async () => {
+  const archive = path.join(server.work, 'links.tar');
+  const destination = path.join(server.work, 'links');
+  buildArchive(archive, [
+    "with tarfile.open(path, 'w') as t:",
+    "    link = tarfile.TarInfo('escape')",
+    '    link.type = tarfile.SYMTYPE',
+    "    link.linkname = '../..'",
+    '    t.addfile(link)',
+    "    data = tarfile.TarInfo('fine.txt')",
+    '    data.size = 2',
+    "    t.addfile(data, io.BytesIO(b'ok'))"
+  ].join('\n'));
+
+  const result = await server.call('extract_archive', { path: archive, destination });
+  assert.equal(result.files_extracted, 1);
+  assert.deepEqual(result.skipped, [{ name: 'escape', type: 'symlink' }]);
+  assert.equal(await fs.readFile(path.join(destination, 'fine.txt'), 'utf8'), 'ok');
+  await assert.rejects(fs.lstat(path.join(destination, 'escape')));
+});
+
+test('symlinks already in the destination are not followed', async () => {
+  const elsewhere = path.join(server.work, 'elsewhere');
+  const destination = path.join(server.work, 'planted');
+  await fs.mkdir(elsewhere);
+  await fs.mkdir(destination);
+  await fs.symlink(elsewhere, path.join(destination, 'dir'));
+  await fs.symlink(path.join(elsewhere, 'file.txt'), path.join(destination, 'file.txt'));
+
+  const throughDir = path.join(server.work, 'through-dir.zip');
+  buildArchive(throughDir, ZIP_WITH(['dir/owned.txt']));
+  await assert.rejects(server.call('extract_archive', { path: throughDir, destination }), /outside/);
+
+  const throughFile = path.join(server.work, 'through-file.zip');
+  buildArchive(throughFile, ZIP_WITH(['file.txt']));
+  await assert.rejects(
+    server.call('extract_archive', { path: throughFile, destination, overwrite: true }),
+    /through a symlink/
+  );
+  assert.deepEqual(await fs.readdir(elsewhere), []);
+});
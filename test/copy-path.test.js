@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('copying a file onto a directory is refused whatever the overwrite policy', async () => {
+  const source = path.join(server.work, 'report.txt');
+  const target = path.join(server.work, 'out');
+  await fs.writeFile(source, 'report');
+  await fs.mkdir(path.join(target, 'keep'), { recursive: true });
+
+  for (const overwrite of ['error', 'skip', 'overwrite']) {
+    await assert.rejects(
+      server.call('copy_path', { source, destination: target, overwrite }),
+      /Destination is a directory/
+    );
+  }
+  assert.deepEqual(await fs.readdir(target), ['keep']);
+});
+
+test('copying a tree over a file of the same name is refused', async () => {
+  const source = path.join(server.work, 'tree');
+  const target = path.join(server.work, 'tree-copy');
+  await fs.mkdir(path.join(source, 'sub'), { recursive: true });
+  await fs.writeFile(path.join(source, 'sub', 'a.txt'), 'a');
+  await fs.mkdir(target);
+  await fs.writeFile(path.join(target, 'sub'), 'a file, not a directory');
+
+  await assert.rejects(
+    server.call('copy_path', { source, destination: target, overwrite: 'overwrite' }),
+    /destination is not a directory/
+  );
+  assert.equal(await fs.readFile(path.join(target, 'sub'), 'utf8'), 'a file, not a directory');
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const numbered = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} ${i}\n`).join('');
+
+const countChanges = diff => {
+  const lines = diff.split('\n');
+  return {
+    removed: lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length,
+    added: lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length
+  };
+};
+
+test('a mostly different file still diffs minimally', async () => {
+  const file = path.join(server.work, 'mostly.txt');
+  const before = numbered('old', 2000);
+  const after = numbered('new', 2000).replace('new 1000\n', 'old 1000\n');
+  await fs.writeFile(file, before);
+
+  const edit = await server.call('edit_file', { path: file, edits: [{ old_text: before, new_text: after }] });
+  assert.deepEqual(countChanges(edit.diff), { removed: 1999, added: 1999 });
+  assert.match(edit.diff, /^ old 1000$/m);
+});
+
+test('a huge rewrite falls back to one replace hunk that applies back', async () => {
+  const file = path.join(server.work, 'large.txt');
+  const before = numbered('old', 20000);
+  const after = numbered('new', 20000).replace('new 10000\n', 'old 10000\n');
+  await fs.writeFile(file, before);
+
+  const started = Date.now();
+  const edit = await server.call('edit_file', { path: file, edits: [{ old_text: before, new_text: after }] });
+  assert.ok(Date.now() - started < 10000);
+  assert.equal(await fs.readFile(file, 'utf8'), after);
+  assert.deepEqual(countChanges(edit.diff), { removed: 20000, added: 20000 });
+
+  const copy = path.join(server.work, 'large-copy.txt');
+  await fs.writeFile(copy, before);
+  await server.call('edit_file', { path: copy, patch: edit.diff, create_backup: false });
+  assert.equal(await fs.readFile(copy, 'utf8'), after);
+});
+
+test('diff_files summarizes files over the line limit', async () => {
+  const left = path.join(server.work, 'left.txt');
+  const right = path.join(server.work, 'right.txt');
+  await fs.writeFile(left, numbered('left', 30000));
+  await fs.writeFile(right, numbered('right', 30000));
+
+  const result = await server.call('diff_files', { path: left, other_path: right });
+  assert.equal(result.too_large, true);
+  assert.equal(result.diff, null);
+  assert.equal(result.old.lines, 30000);
+  assert.equal(result.new.size, (await fs.stat(right)).size);
+  assert.match(result.new.sha256, /^[0-9a-f]{64}$/);
+  assert.notEqual(result.old.sha256, result.new.sha256);
+});
+
+const patchFile = async (name, content, patch) => {
+  const file = path.join(server.work, name);
+  await fs.writeFile(file, content);
+  return { file, result: server.call('edit_file', { path: file, patch, create_backup: false }) };
+};
+
+const PATCH = [
+  '--- a/f.txt',
+  '+++ b/f.txt',
+  '@@ -2,3 +2,3 @@',
+  ' two',
+  '-three',
+  '+THREE',
+  ' four',
+  '@@ -8,3 +8,3 @@',
+  ' eight',
+  '-nine',
+  '+NINE',
+  ' ten',
+  ''
+].join('\n');
+
+const TEN = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+test('patch hunks are found at an offset from their stated lines', async () => {
+  const { file, result } = await patchFile('offset.txt', ['new 1', 'new 2', ...TEN].join('\n') + '\n', PATCH);
+  assert.equal((await result).hunks_applied, 2);
+  assert.equal(
+    await fs.readFile(file, 'utf8'),
+    ['new 1', 'new 2', 'one', 'two', 'THREE', 'four', 'five', 'six', 'seven', 'eight', 'NINE', 'ten'].join('\n') + '\n'
+  );
+});
+
+test('a hunk whose context repeats goes to the match nearest its stated line', async () => {
+  const patch = ['--- a/f', '+++ b/f', '@@ -6,2 +6,2 @@', ' x', '-y', '+Y', ''].join('\n');
+  const { file, result } = await patchFile('nearest.txt', ['x', 'y', 'a', 'b', 'c', 'x', 'y', 'd'].join('\n') + '\n', patch);
+  await result;
+  assert.equal(await fs.readFile(file, 'utf8'), ['x', 'y', 'a', 'b', 'c', 'x', 'Y', 'd'].join('\n') + '\n');
+});
+
+test('patches keep CRLF line endings', async () => {
+  const { file, result } = await patchFile('crlf.txt', TEN.join('\r\n') + '\r\n', PATCH);
+  await result;
+  assert.equal(
+    await fs.readFile(file, 'utf8'),
+    ['one', 'two', 'THREE', 'four', 'five', 'six', 'seven', 'eight', 'NINE', 'ten'].join('\r\n') + '\r\n'
+  );
+});
+
+test('context is matched without fuzz, and a rejected hunk writes nothing', async () => {
+  const content = TEN.map(line => (line === 'ten' ? 'TEN' : line)).join('\n') + '\n';
+  const { file, result } = await patchFile('reject.txt', content, PATCH);
+  await assert.rejects(result, /Patch hunk 2 \(@@ -8\) does not match the file/);
+  assert.equal(await fs.readFile(file, 'utf8'), content);
+});
+
+test('malformed and multi-file patches are rejected', async () => {
+  const truncated = ['--- a/f', '+++ b/f', '@@ -1,3 +1,3 @@', ' one', '-two', ''].join('\n');
+  await assert.rejects((await patchFile('truncated.txt', TEN.join('\n') + '\n', truncated)).result, /is truncated/);
+  const twoFiles = `${PATCH}--- a/g.txt\n+++ b/g.txt\n@@ -1 +1 @@\n-one\n+ONE\n`;
+  await assert.rejects((await patchFile('two-files.txt', TEN.join('\n') + '\n', twoFiles)).result, /more than one file/);
+});
@@ -0,0 +1,61 @@
+/**
+ * Test helpers: a real server over stdio, confined to a scratch directory
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server', 'index.js');
+
+/**
+ * Start the server with `work` as its only allowed path and working
+ * directory. env may be a function of `work`, for settings that name paths
+ * inside it. Tool errors are thrown with the server's message; `client`
+ * is there for the rest of the protocol. close() removes the scratch
+ * directory.
+ */
+export async function startServer(env = {}) {
+  const root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'darkside-test-')));
+  const work = path.join(root, 'work');
+  await fs.mkdir(work);
+  await fs.writeFile(path.join(root, 'config.json'), '{}');
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: {
+      ...process.env,
+      DARKSIDE_CONFIG: path.join(root, 'config.json'),
+      ALLOWED_PATHS: work,
+      BACKUP_DIR: path.join(root, 'backups'),
+      SPILL_DIR: path.join(root, 'spill'),
+      AUDIT_LOG: 'false',
+      ...(typeof env === 'function' ? env(work) : env)
+    },
+    cwd: work,
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'darkside-tests', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(transport);
+
+  return {
+    work,
+    client,
+    async call(name, args = {}) {
+      const response = await client.callTool({ name, arguments: args });
+      const body = JSON.parse(response.content[0].text);
+      if (response.isError) {
+        throw new Error(body.error);
+      }
+      return body;
+    },
+    async close() {
+      await client.close();
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { test } from 'node:test';
+import { startServer } from './helpers.js';
+
+test('running out of CPU is reported, a SIGKILL is not', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const spin = path.join(server.work, 'spin.py');
+  await fs.writeFile(spin, 'while True:\n    pass\n');
+  const spun = await server.call('run_python_script', { script_path: spin, limits: { cpu_seconds: 1 } });
+  assert.equal(spun.limit_exceeded, 'cpu_seconds');
+
+  const killed = path.join(server.work, 'killed.py');
+  await fs.writeFile(killed, 'import os, signal\nos.kill(os.getpid(), signal.SIGKILL)\n');
+  const run = await server.call('run_python_script', { script_path: killed, limits: { cpu_seconds: 60 } });
+  assert.equal(run.limit_exceeded, null);
+});
+
+test('without a usable Python for the launcher, runs go unlimited with a warning', async (t) => {
+  const server = await startServer({ PYTHON_PATH: '/nonexistent/python3' });
+  t.after(() => server.close());
+
+  const script = path.join(server.work, 'hello.py');
+  await fs.writeFile(script, 'print("hello")\n');
+  const run = await server.call('run_python_script', { script_path: script, interpreter: 'python3', limits: { memory_mb: 512 } });
+  assert.equal(run.stdout.trim(), 'hello');
+  assert.match(run.limits_warning, /not limited/);
+});
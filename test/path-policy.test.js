@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+let rw;
+let ro;
+let outside;
+
+before(async () => {
+  server = await startServer(work => ({
+    ALLOWED_PATHS: `${work}/rw,${work}/ro=r,${work}/rw/frozen=r`,
+    DENY_PATTERNS: '**/secret/**'
+  }));
+  rw = path.join(server.work, 'rw');
+  ro = path.join(server.work, 'ro');
+  outside = path.join(server.work, 'outside');
+  for (const dir of [rw, ro, outside, path.join(rw, 'frozen'), path.join(rw, 'secret')]) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+  await fs.writeFile(path.join(ro, 'notes.txt'), 'read only\n');
+  await fs.writeFile(path.join(rw, 'secret', 'key'), 'hidden\n');
+  await fs.writeFile(path.join(outside, 'data.txt'), 'outside\n');
+});
+
+after(() => server.close());
+
+test('per-root grants: =r reads but does not write, and a nested grant wins', async () => {
+  await server.call('write_file', { path: path.join(rw, 'a.txt'), content: 'a' });
+  assert.equal((await server.call('read_file', { path: path.join(ro, 'notes.txt') })).content, 'read only\n');
+  await assert.rejects(
+    server.call('write_file', { path: path.join(ro, 'b.txt'), content: 'b' }),
+    /write access .* is not granted \(root .*\/ro allows 'r'\)/
+  );
+  await assert.rejects(
+    server.call('write_file', { path: path.join(rw, 'frozen', 'c.txt'), content: 'c' }),
+    /allows 'r'/
+  );
+});
+
+test('a deny glob covers the directory itself, its files and links to them', async () => {
+  await assert.rejects(server.call('list_directory', { path: path.join(rw, 'secret') }), /matches deny pattern/);
+  await assert.rejects(server.call('read_file', { path: path.join(rw, 'secret', 'key') }), /matches deny pattern/);
+  await fs.symlink(path.join(rw, 'secret'), path.join(rw, 'public'));
+  await assert.rejects(server.call('read_file', { path: path.join(rw, 'public', 'key') }), /matches deny pattern/);
+});
+
+test('symlinks cannot escape the roots', async () => {
+  await fs.symlink(outside, path.join(rw, 'escape'));
+  await fs.symlink(path.join(outside, 'data.txt'), path.join(rw, 'data-link.txt'));
+  await assert.rejects(server.call('read_file', { path: path.join(rw, 'escape', 'data.txt') }), /resolves to .*outside/);
+  await assert.rejects(server.call('read_file', { path: path.join(rw, 'data-link.txt') }), /not in allowed list/);
+  await assert.rejects(
+    server.call('write_file', { path: path.join(rw, 'escape', 'new.txt'), content: 'x' }),
+    /not in allowed list/
+  );
+  await assert.rejects(fs.access(path.join(outside, 'new.txt')));
+});
+
+test('links inside the roots resolve, and delete_file removes the link only', async () => {
+  await fs.symlink(ro, path.join(rw, 'ro-link'));
+  const read = await server.call('read_file', { path: path.join(rw, 'ro-link', 'notes.txt') });
+  assert.equal(read.path, path.join(ro, 'notes.txt'));
+  await assert.rejects(
+    server.call('write_file', { path: path.join(rw, 'ro-link', 'notes.txt'), content: 'x' }),
+    /allows 'r'/
+  );
+
+  await fs.writeFile(path.join(rw, 'target.txt'), 'target\n');
+  await fs.symlink(path.join(rw, 'target.txt'), path.join(rw, 'target-link.txt'));
+  await server.call('delete_file', { path: path.join(rw, 'target-link.txt'), create_backup: false });
+  await assert.rejects(fs.lstat(path.join(rw, 'target-link.txt')));
+  assert.equal(await fs.readFile(path.join(rw, 'target.txt'), 'utf8'), 'target\n');
+});
+
+test('relative paths resolve against the working directory and cannot climb out', async () => {
+  const written = await server.call('write_file', { path: 'rw/relative.txt', content: 'rel' });
+  assert.equal(written.path, path.join(rw, 'relative.txt'));
+  await assert.rejects(server.call('read_file', { path: 'outside/data.txt' }), /not in allowed list/);
+  await assert.rejects(server.call('read_file', { path: 'rw/../outside/data.txt' }), /not in allowed list/);
+});
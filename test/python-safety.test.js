@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const BLOCKED = {
+  'chained call': "import importlib\nimportlib.import_module('os').system('true')",
+  'assigned module': "import importlib\nm = importlib.import_module('os')\nm.system('true')",
+  'aliased import_module': "from importlib import import_module as load\nload('shutil').rmtree('nowhere')",
+  'computed name': "import importlib\nname = 'o' + 's'\nimportlib.import_module(name)"
+};
+
+for (const [label, code] of Object.entries(BLOCKED)) {
+  test(`importlib.import_module is checked: ${label}`, async () => {
+    await assert.rejects(server.call('run_python_code', { code }), /Security check failed/);
+  });
+}
+
+test('importing a harmless module by name still runs', async () => {
+  const run = await server.call('run_python_code', { code: "import importlib\nprint(importlib.import_module('json').dumps([1]))" });
+  assert.equal(run.success, true);
+  assert.equal(run.stdout.trim(), '[1]');
+  assert.ok(run.safety_warnings.some(w => w.name === 'importlib.import_module'));
+});
+
+const BYPASSES = {
+  'tuple unpacking': "import os\na, b = os, 1\na.system('true')",
+  'module __dict__': "import os\nos.__dict__['system']('true')",
+  'vars() of a module': "import os\nvars(os)['system']('true')",
+  'globals()': "globals()['__builtins__']",
+  'bare __builtins__': "__builtins__.__dict__['eval']('1')",
+  'builtins __dict__': "import builtins\nbuiltins.__dict__['exec']('1')",
+  'module in a container': "import os\n[s for s in [os]][0].system('true')",
+  'module as an argument': "import os\ndef run(m):\n    m.system('true')\nrun(os)",
+  'star import': "from os import *\nsystem('true')",
+  'computed getattr on a module': "import os\nname = 'system'\ngetattr(os, name)('true')"
+};
+
+for (const [label, code] of Object.entries(BYPASSES)) {
+  test(`analyzer bypass is blocked: ${label}`, async () => {
+    await assert.rejects(server.call('run_python_code', { code }), /Security check failed/);
+  });
+}
+
+test('ordinary use of modules, unpacking and star imports still runs', async () => {
+  const code = [
+    'import os',
+    'from json import *',
+    'sep, cwd = os.sep, os.getcwd()',
+    'm = os.path',
+    "print(dumps([m.join('a', 'b') == 'a' + sep + 'b']))"
+  ].join('\n');
+  const run = await server.call('run_python_code', { code });
+  assert.equal(run.stdout.trim(), '[true]');
+});
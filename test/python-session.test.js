@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+let sessionId;
+
+before(async () => {
+  server = await startServer({ OUTPUT_MAX_BYTES: '4096' });
+  sessionId = (await server.call('python_session_start', {})).session_id;
+});
+
+after(async () => {
+  await server.call('python_session_close', { session_id: sessionId });
+  await server.close();
+});
+
+test('session output is capped like other runs and the session keeps working', async () => {
+  const flood = await server.call('python_session_exec', {
+    session_id: sessionId,
+    code: "for i in range(2000):\n    print('x' * 1000)\nlen('done')"
+  });
+  assert.equal(flood.status, 'ok');
+  assert.equal(flood.truncated, true);
+  assert.equal(flood.stdout_bytes, 2000 * 1001);
+  assert.ok(flood.stdout.length < 8192);
+  assert.equal(flood.result, '4');
+
+  const next = await server.call('python_session_exec', { session_id: sessionId, code: "print('é' * 3)\n'x' * 100000" });
+  assert.equal(next.stdout, 'ééé\n');
+  assert.equal(next.truncated, false);
+  assert.ok(next.result.length < 8192);
+  assert.match(next.result, /chars truncated/);
+});
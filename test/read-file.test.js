@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ READ_MAX_BYTES: '1024' });
+});
+
+after(() => server.close());
+
+test('a first line longer than READ_MAX_BYTES is cut, not returned whole', async () => {
+  const file = path.join(server.work, 'minified.js');
+  await fs.writeFile(file, 'é'.repeat(5000) + '\nsecond\n');
+
+  const read = await server.call('read_file', { path: file, offset: 1, limit: 10 });
+  assert.equal(read.content, 'é'.repeat(512));
+  assert.equal(read.truncated, true);
+  assert.equal(read.line_truncated, true);
+  assert.match(read.message, /byte_offset/);
+  assert.equal(read.lines_returned, 1);
+  assert.equal(read.next_offset, 2);
+  assert.equal(read.total_lines, 2);
+
+  const next = await server.call('read_file', { path: file, offset: read.next_offset });
+  assert.equal(next.content, 'second');
+  assert.equal(next.truncated, false);
+});
+
+test('line ranges keep their line endings and counts', async () => {
+  const file = path.join(server.work, 'crlf.txt');
+  await fs.writeFile(file, 'one\r\ntwo\r\n\r\nfour');
+
+  const read = await server.call('read_file', { path: file, offset: 2, limit: 2 });
+  assert.equal(read.content, 'two\n');
+  assert.equal(read.total_lines, 4);
+  assert.equal(read.next_offset, 4);
+  assert.equal(read.line_truncated, undefined);
+});
@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ OUTPUT_MAX_BYTES: '4096' });
+});
+
+after(() => server.close());
+
+test('an offset inside a multi-byte character starts at that character', async () => {
+  const run = await server.call('run_python_code', { code: "print('é' * 5000)" });
+  assert.equal(run.truncated, true);
+
+  const page = await server.call('read_output', { spill_id: run.spill_id, offset: 101, max_bytes: 10 });
+  assert.equal(page.offset, 100);
+  assert.equal(page.content, 'ééééé');
+  assert.equal(page.next_offset, 110);
+});
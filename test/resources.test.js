@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+const expected = [];
+
+before(async () => {
+  server = await startServer(work => ({ ALLOWED_PATHS: `${work},${work}/b/inner` }));
+  for (const dir of ['a', 'a/deep/er', 'b', 'b/inner', 'node_modules/x']) {
+    await fs.mkdir(path.join(server.work, dir), { recursive: true });
+  }
+  for (const dir of ['', 'a', 'a/deep/er', 'b', 'b/inner']) {
+    for (let i = 0; i < 90; i++) {
+      const file = path.join(server.work, dir, `f${String(i).padStart(3, '0')}.txt`);
+      await fs.writeFile(file, 'x');
+      expected.push(file);
+    }
+  }
+  await fs.writeFile(path.join(server.work, 'node_modules', 'x', 'skipped.js'), 'x');
+});
+
+after(() => server.close());
+
+async function listAll(onPage = async () => {}) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await server.client.listResources(cursor ? { cursor } : {});
+    names.push(...page.resources.map(r => r.name));
+    cursor = page.nextCursor;
+    await onPage(page);
+  } while (cursor);
+  return names;
+}
+
+test('paging lists every file once, in a stable order', async () => {
+  const names = await listAll();
+  assert.equal(names.length, expected.length);
+  assert.deepEqual([...names].sort(), [...expected].sort());
+  assert.deepEqual(await listAll(), names);
+});
+
+test('a cursor still resumes after its last file is deleted', async () => {
+  const first = await listAll();
+  const names = await listAll(async (page) => {
+    if (page.nextCursor) {
+      await fs.rm(page.resources[page.resources.length - 1].name);
+    }
+  });
+  const deleted = first.filter(name => !names.includes(name));
+  assert.equal(names.length + deleted.length, first.length);
+  assert.deepEqual(names, first.filter(name => !deleted.includes(name)));
+});
+
+test('a cursor outside the roots is refused', async () => {
+  await assert.rejects(server.client.listResources({ cursor: Buffer.from('/nowhere/x').toString('base64url') }), /Invalid cursor/);
+});
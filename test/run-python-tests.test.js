@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const TEST_MODULE = `import unittest
+
+
+class TestMath(unittest.TestCase):
+    def test_good(self):
+        self.assertEqual(1 + 1, 2)
+
+    def test_bad(self):
+        self.assertEqual(1 + 1, 3)
+`;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await fs.mkdir(path.join(server.work, 'tests'));
+  await fs.writeFile(path.join(server.work, 'tests', 'test_math.py'), TEST_MODULE);
+});
+
+after(() => server.close());
+
+for (const runner of ['auto', 'unittest']) {
+  test(`a returned node_id re-runs that test (${runner})`, async () => {
+    const first = await server.call('run_python_tests', { path: 'tests', cwd: server.work, runner });
+    assert.equal(first.summary.total, 2);
+    const failing = first.tests.find(t => t.status === 'failed');
+    assert.equal(failing.node_id, 'tests/test_math.py::TestMath::test_bad');
+
+    const rerun = await server.call('run_python_tests', { path: failing.node_id, cwd: first.working_directory, runner });
+    assert.equal(rerun.summary.total, 1);
+    assert.equal(rerun.tests[0].node_id, failing.node_id);
+    assert.equal(rerun.tests[0].status, 'failed');
+  });
+}
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+async function waitForEvent(cursor, predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const changes = await server.call('get_changes', { cursor, wait_ms: 500 });
+    cursor = changes.cursor;
+    const match = changes.events.find(predicate);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+test('recursive watches follow directories created after the watch started', async () => {
+  const existing = path.join(server.work, 'existing');
+  await fs.mkdir(existing);
+  const watch = await server.call('watch_path', { path: server.work, debounce_ms: 50 });
+  assert.equal(watch.recursive, true);
+
+  const nested = path.join(server.work, 'new', 'deeper');
+  await fs.mkdir(nested, { recursive: true });
+  // Give a fallback watcher time to pick up the new directories
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await fs.writeFile(path.join(existing, 'a.txt'), 'a');
+  await fs.writeFile(path.join(nested, 'b.txt'), 'b');
+
+  assert.ok(await waitForEvent(watch.cursor, e => e.path === path.join(existing, 'a.txt')));
+  assert.ok(await waitForEvent(watch.cursor, e => e.path === path.join(nested, 'b.txt')));
+  await server.call('unwatch_path', { watch_id: watch.watch_id });
+});